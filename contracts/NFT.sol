@@ -2,8 +2,11 @@
 pragma solidity ^0.8.0;
 
 // Import OpenZeppelin contracts for NFT functionality and ownership management
-import "./ERC721Enumerable.sol";  // Provides ERC721 NFT standard with enumeration capabilities
+import "./ERC721A.sol";           // ERC721 with enumeration, minting a whole batch for about the cost of one token
 import "./Ownable.sol";           // Provides ownership functionality with access control
+import "./MerkleProof.sol";       // Verifies allowlist membership against a Merkle root
+import "./IERC2981.sol";          // NFT Royalty Standard interface read by marketplaces
+import "./Base64.sol";            // Encodes the on-chain metadata and image as data URIs
 
 /**
  * @title NFT - Dapp Punks NFT Collection
@@ -11,11 +14,19 @@ import "./Ownable.sol";           // Provides ownership functionality with acces
  * - Minting functionality with payment requirements
  * - Time-based minting control (can set when minting is allowed)
  * - Maximum supply limit to create scarcity
+ * - Per-transaction and per-wallet mint limits so no single wallet can buy out the collection
+ * - Merkle-tree allowlist presale phase with its own price and per-address cap
+ * - Delayed reveal: a placeholder URI is served until the owner reveals the collection
+ * - Owner control of the mint date, metadata location and an emergency pause after deployment
+ * - EIP-2981 royalties on secondary sales, with an owner-set receiver and a capped rate
+ * - Payment splitter: mint proceeds are shared between team payees by the shares set at deployment
  * - IPFS metadata integration for decentralized storage
+ * - Optional fully on-chain metadata: JSON and an SVG image built from a trait table stored in the contract
  * - Owner-only functions for contract management
  * - Enumerable functionality to track and query NFTs by owner
+ * - Batched sequential minting (ERC721A): minting several NFTs costs little more than minting one
  */
-contract NFT is ERC721Enumerable, Ownable {
+contract NFT is ERC721A, Ownable, IERC2981 {
     using Strings for uint256;  // Allows us to convert numbers to strings
 
     // State variables that define the NFT collection properties
@@ -24,10 +35,75 @@ contract NFT is ERC721Enumerable, Ownable {
     uint256 public cost;             // Price in wei (smallest ETH unit) to mint one NFT
     uint256 public maxSupply;        // Maximum number of NFTs that can ever be minted
     uint256 public allowMintingOn;   // Timestamp when minting becomes available
+    string public notRevealedURI;    // Placeholder metadata URI returned for every token before reveal
+    bool public revealed;            // Whether tokenURI returns the real per-token metadata
+    uint256 public revealedAt;       // Timestamp when the collection was revealed (0 until then)
+    bool public paused;              // Emergency switch that blocks all minting while true
+    uint256 public maxMintAmount = 5;  // Maximum number of NFTs that can be minted in one transaction
+    uint256 public maxPerWallet = 10;  // Maximum number of NFTs a single wallet can mint in total
+
+    // Tracks how many NFTs each address has minted, presale included (transfers don't reset the count)
+    mapping(address => uint256) public mintedBy;
+
+    // Presale (allowlist) configuration - the presale runs from allowPresaleMintingOn until allowMintingOn
+    bytes32 public merkleRoot;              // Root of the Merkle tree built from the allowlisted addresses
+    uint256 public presaleCost;             // Price in wei to mint one NFT during the presale
+    uint256 public presaleMaxPerWallet = 2; // Maximum number of NFTs an allowlisted address can mint in the presale
+    uint256 public allowPresaleMintingOn;   // Timestamp when the presale starts (0 = no presale)
+
+    // Tracks how many NFTs each address has minted during the presale
+    mapping(address => uint256) public presaleMintedBy;
+
+    // EIP-2981 royalties - marketplaces that honour the standard pay royaltyBps of each resale to royaltyReceiver
+    uint256 public constant MAX_ROYALTY_BPS = 1000;  // Royalty cap: 10% (basis points, 10000 = 100%)
+    address public royaltyReceiver;                  // Address royalties are paid to
+    uint256 public royaltyBps;                       // Royalty rate in basis points (e.g. 500 = 5%)
+
+    // Payment splitter - each payee is owed their shares / totalShares of everything the contract has received
+    address[] public payees;                         // Every payee, in the order they were set at deployment
+    mapping(address => uint256) public shares;       // Shares held by each payee
+    mapping(address => uint256) public released;     // ETH already paid out to each payee
+    uint256 public totalShares;                      // Sum of every payee's shares
+    uint256 public totalReleased;                    // ETH already paid out to all payees
+
+    // On-chain metadata - when enabled, tokenURI builds a data: URI from the trait table instead of using baseURI
+    // Upload the table with scripts/traits.js
+    bool public onChainMetadata;                      // Whether tokenURI returns on-chain metadata
+    string public metadataDescription;                // Description included in every token's on-chain metadata
+    string[] public traitTypes;                       // Trait names, e.g. "Backgrounds"
+    mapping(uint256 => string[]) public traitValues;  // Possible values of each trait type, by trait type index
+    mapping(uint256 => bytes) private tokenTraits;    // Per token, one byte per trait type: value index + 1 (0 = none)
+                                                      // Private and only uploaded after reveal, so rarity can't be sniped early
 
     // Events are emitted when important actions occur, allowing frontend to listen for updates
     event Mint(uint256 amount, address minter);      // Fired when NFTs are minted
-    event Withdraw(uint256 amount, address owner);   // Fired when contract owner withdraws funds
+    event Withdraw(uint256 amount, address owner);   // Fired when contract owner pays out every payee
+    event PayeeAdded(address account, uint256 shares);   // Fired for each payee set at deployment
+    event PaymentReleased(address to, uint256 amount);   // Fired when a payee is paid their share
+    event PaymentFailed(address to, uint256 amount);     // Fired when withdraw() skips a payee that rejected the ETH
+    event OnChainMetadataChanged(bool enabled);          // Fired when the owner switches between on-chain and baseURI metadata
+    event TraitTableChanged(uint256 traitTypeCount);     // Fired when the owner uploads the trait types and values
+    event TokenTraitsChanged(uint256 fromTokenId, uint256 count); // Fired when the owner uploads tokens' traits
+    event Reveal(string baseURI, uint256 revealedAt); // Fired when the owner reveals the collection
+    event AllowMintingOnChanged(uint256 allowMintingOn);  // Fired when the owner moves the mint date
+    event BaseURIChanged(string baseURI);                 // Fired when the owner changes the metadata location
+    event BaseExtensionChanged(string baseExtension);     // Fired when the owner changes the metadata file extension
+    event PausedChanged(bool paused);                     // Fired when the owner pauses or unpauses minting
+    event RoyaltyChanged(address receiver, uint256 bps);  // Fired when the owner changes the royalty receiver or rate
+    event MaxMintAmountChanged(uint256 maxMintAmount);    // Fired when the owner changes the per-transaction limit
+    event MaxPerWalletChanged(uint256 maxPerWallet);      // Fired when the owner changes the per-wallet limit
+    event MerkleRootChanged(bytes32 merkleRoot);          // Fired when the owner sets the allowlist root
+    event PresaleCostChanged(uint256 presaleCost);        // Fired when the owner changes the presale price
+    event PresaleMaxPerWalletChanged(uint256 presaleMaxPerWallet); // Fired when the owner changes the presale per-wallet limit
+    event AllowPresaleMintingOnChanged(uint256 allowPresaleMintingOn); // Fired when the owner moves the presale start
+
+    /**
+     * @dev Blocks the function while minting is paused
+     */
+    modifier whenNotPaused() {
+        require(!paused, "Minting is paused");
+        _;
+    }
 
     /**
      * @dev Constructor function that runs once when the contract is deployed
@@ -37,6 +113,9 @@ contract NFT is ERC721Enumerable, Ownable {
      * @param _maxSupply The maximum number of NFTs that can be minted
      * @param _allowMintingOn Unix timestamp when minting becomes available
      * @param _baseURI The base IPFS URI where NFT metadata is stored
+     * @param _notRevealedURI Placeholder metadata URI; pass an empty string to deploy already revealed
+     * @param _payees Addresses mint proceeds are split between
+     * @param _shares Number of shares for each payee, in the same order as _payees
      */
     constructor(
         string memory _name,
@@ -44,12 +123,31 @@ contract NFT is ERC721Enumerable, Ownable {
         uint256 _cost,
         uint256 _maxSupply,
         uint256 _allowMintingOn,
-        string memory _baseURI
-    ) ERC721(_name, _symbol) {  // Initialize the parent ERC721 contract
+        string memory _baseURI,
+        string memory _notRevealedURI,
+        address[] memory _payees,
+        uint256[] memory _shares
+    ) ERC721A(_name, _symbol) {  // Initialize the parent ERC721 contract
         cost = _cost;                    // Set the minting price
         maxSupply = _maxSupply;          // Set the maximum supply limit
         allowMintingOn = _allowMintingOn; // Set when minting is allowed to start
         baseURI = _baseURI;              // Set the IPFS base URI for metadata
+        presaleCost = _cost;             // Presale uses the public price until the owner changes it
+        notRevealedURI = _notRevealedURI; // Set the placeholder metadata URI
+        royaltyReceiver = msg.sender;    // Royalties go to the deployer, at 0% until the owner sets a rate
+
+        // Set up the payment splitter - payees can't be changed after deployment
+        require(_payees.length > 0, "No payees");
+        require(_payees.length == _shares.length, "Payees and shares length mismatch");
+        for(uint256 i; i < _payees.length; i++) {
+            _addPayee(_payees[i], _shares[i]);
+        }
+
+        // Without a placeholder there is nothing to hide, so the collection starts revealed
+        if (bytes(_notRevealedURI).length == 0) {
+            revealed = true;
+            revealedAt = block.timestamp;
+        }
     }
 
     /**
@@ -57,18 +155,25 @@ contract NFT is ERC721Enumerable, Ownable {
      * @param _mintAmount The number of NFTs the user wants to mint
      *
      * Requirements:
+     * - Minting must not be paused
      * - Current time must be after the allowMintingOn timestamp
      * - Must mint at least 1 NFT
+     * - Cannot mint more than maxMintAmount in one transaction
+     * - Cannot mint more than maxPerWallet in total from one address, presale mints included
      * - Must send enough ETH to cover the cost
      * - Cannot exceed the maximum supply
      */
-    function mint(uint256 _mintAmount) public payable {
+    function mint(uint256 _mintAmount) public payable whenNotPaused {
         // Check if minting is currently allowed (time-based restriction)
         require(block.timestamp >= allowMintingOn, "Minting not yet allowed");
 
         // Ensure user is trying to mint at least 1 NFT
         require(_mintAmount > 0, "Must mint at least 1 NFT");
 
+        // Enforce the per-transaction and per-wallet mint limits
+        require(_mintAmount <= maxMintAmount, "Exceeds max mint amount per transaction");
+        require(mintedBy[msg.sender] + _mintAmount <= maxPerWallet, "Exceeds max mint amount per wallet");
+
         // Check if user sent enough ETH (msg.value is the ETH sent with transaction)
         require(msg.value >= cost * _mintAmount, "Insufficient payment");
 
@@ -78,19 +183,80 @@ contract NFT is ERC721Enumerable, Ownable {
         // Ensure minting won't exceed the maximum supply
         require(supply + _mintAmount <= maxSupply, "Would exceed max supply");
 
-        // Mint the requested number of NFTs to the sender's address
-        // Loop starts at 1 because token IDs start from 1, not 0
-        for(uint256 i = 1; i <= _mintAmount; i++) {
-            _safeMint(msg.sender, supply + i);  // Safely mint NFT with incremental ID
-        }
+        // Record the mints against the sender before minting (checks-effects-interactions)
+        mintedBy[msg.sender] += _mintAmount;
+
+        _mintTokens(msg.sender, _mintAmount);
+    }
+
+    /**
+     * @dev Allows allowlisted addresses to mint NFTs during the presale
+     * @param _mintAmount The number of NFTs the user wants to mint
+     * @param _merkleProof Proof that msg.sender is a leaf of the allowlist Merkle tree
+     *
+     * Requirements:
+     * - Minting must not be paused
+     * - The presale must be active (between allowPresaleMintingOn and allowMintingOn)
+     * - msg.sender must be on the allowlist
+     * - Must mint at least 1 NFT
+     * - Cannot mint more than maxMintAmount in one transaction
+     * - Cannot mint more than presaleMaxPerWallet in the presale from one address
+     * - Cannot mint more than maxPerWallet in total from one address
+     * - Must send enough ETH to cover the presale cost
+     * - Cannot exceed the maximum supply
+     */
+    function presaleMint(uint256 _mintAmount, bytes32[] calldata _merkleProof) public payable whenNotPaused {
+        // Check if the presale window is currently open
+        require(isPresaleActive(), "Presale is not active");
+
+        // Leaves are the keccak256 hash of the packed address
+        bytes32 leaf = keccak256(abi.encodePacked(msg.sender));
+        require(MerkleProof.verify(_merkleProof, merkleRoot, leaf), "Not on allowlist");
+
+        require(_mintAmount > 0, "Must mint at least 1 NFT");
+
+        // The public limits apply too - presale mints count toward the wallet's overall maxPerWallet
+        require(_mintAmount <= maxMintAmount, "Exceeds max mint amount per transaction");
+        require(presaleMintedBy[msg.sender] + _mintAmount <= presaleMaxPerWallet, "Exceeds presale mint amount per wallet");
+        require(mintedBy[msg.sender] + _mintAmount <= maxPerWallet, "Exceeds max mint amount per wallet");
+
+        require(msg.value >= presaleCost * _mintAmount, "Insufficient payment");
+        require(totalSupply() + _mintAmount <= maxSupply, "Would exceed max supply");
+
+        presaleMintedBy[msg.sender] += _mintAmount;
+        mintedBy[msg.sender] += _mintAmount;
+
+        _mintTokens(msg.sender, _mintAmount);
+    }
+
+    /**
+     * @dev Returns true while the allowlist presale is running
+     * The presale is open from allowPresaleMintingOn until the public sale starts
+     */
+    function isPresaleActive() public view returns(bool) {
+        return allowPresaleMintingOn != 0
+            && block.timestamp >= allowPresaleMintingOn
+            && block.timestamp < allowMintingOn;
+    }
+
+    /**
+     * @dev Mints sequential token IDs to an address and emits the Mint event
+     * @param _to The address receiving the NFTs
+     * @param _mintAmount The number of NFTs to mint
+     */
+    function _mintTokens(address _to, uint256 _mintAmount) internal {
+        // Mint the whole batch at once - IDs continue from the last minted token, starting at 1
+        // Ownership is written once for the batch instead of once per token
+        _safeMint(_to, _mintAmount);
 
         // Emit an event to notify that minting occurred (useful for frontend updates)
-        emit Mint(_mintAmount, msg.sender);
+        emit Mint(_mintAmount, _to);
     }
 
     /**
      * @dev Returns the metadata URI for a specific NFT token
      * This function constructs the full IPFS URL for the NFT's metadata
+     * Before the collection is revealed every token returns the placeholder URI instead
      * Example return: 'ipfs://QmQ2jnDYecFhrf3asEWjyjZRX1pZSsNWG3qHzmNDvXa9qg/1.json'
      * @param _tokenId The ID of the token to get metadata for
      * @return The complete IPFS URI pointing to the token's metadata JSON file
@@ -105,51 +271,226 @@ contract NFT is ERC721Enumerable, Ownable {
         // Ensure the token exists before returning its URI
         require(_exists(_tokenId), 'Token does not exist');
 
+        // Hide the real metadata until the owner reveals the collection
+        if (!revealed) {
+            return notRevealedURI;
+        }
+
+        // Fully on-chain mode: the metadata and image come from the trait table, not IPFS
+        if (onChainMetadata) {
+            return _onChainTokenURI(_tokenId);
+        }
+
         // Combine baseURI + tokenId + baseExtension to create full metadata URL
         // abi.encodePacked efficiently concatenates strings
         return(string(abi.encodePacked(baseURI, _tokenId.toString(), baseExtension)));
     }
 
+    /**
+     * @dev Builds a token's metadata from the trait table
+     * Example return: 'data:application/json;base64,eyJuYW1lIjoiIzEiLCJkZXNjcmlwdGlvbiI6...'
+     * The JSON has the same fields as the IPFS metadata, with the image as an SVG data URI
+     * @param _tokenId The ID of the token to build metadata for
+     * @return The metadata JSON as a base64 data URI
+     */
+    function _onChainTokenURI(uint256 _tokenId) internal view returns(string memory) {
+        string memory id = _tokenId.toString();
+        (string memory attributes, string memory lines) = _traitsOf(_tokenId);
+
+        // A card listing the token's traits
+        string memory image = string(abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 350 350">',
+            '<rect width="100%" height="100%" fill="#111"/>',
+            '<text x="20" y="40" fill="#fff" font-family="monospace" font-size="20">', name(), ' #', id, '</text>',
+            lines,
+            '</svg>'
+        ));
+
+        string memory json = string(abi.encodePacked(
+            '{"name":"#', id, '","description":"', metadataDescription, '","edition":', id,
+            ',"image":"data:image/svg+xml;base64,', Base64.encode(bytes(image)),
+            '","attributes":[', attributes, ']}'
+        ));
+
+        return string(abi.encodePacked('data:application/json;base64,', Base64.encode(bytes(json))));
+    }
+
+    /**
+     * @dev Builds a token's attributes from the trait table
+     * Trait values are written as-is, so they must not need JSON or XML escaping (scripts/traits.js checks this)
+     * @param _tokenId The ID of the token
+     * @return attributes The JSON attribute objects, comma separated
+     * @return lines The SVG text elements listing the traits
+     */
+    function _traitsOf(uint256 _tokenId) internal view returns(string memory attributes, string memory lines) {
+        bytes memory traits = tokenTraits[_tokenId];
+        uint256 count;
+
+        // Bounded by the current table - traits uploaded under a larger table are skipped, not a panic
+        for(uint256 i; i < traits.length && i < traitTypes.length; i++) {
+            uint8 valueIndex = uint8(traits[i]);
+            if (valueIndex == 0 || valueIndex > traitValues[i].length) continue;  // No trait, or no longer in the table
+
+            string memory traitType = traitTypes[i];
+            string memory value = traitValues[i][valueIndex - 1];
+
+            attributes = string(abi.encodePacked(
+                attributes, count > 0 ? ',' : '', '{"trait_type":"', traitType, '","value":"', value, '"}'
+            ));
+            lines = string(abi.encodePacked(
+                lines, '<text x="20" y="', (80 + count * 30).toString(), '" fill="#fff" font-family="monospace" font-size="14">',
+                traitType, ': ', value, '</text>'
+            ));
+
+            count++;
+        }
+    }
+
     /**
      * @dev Returns an array of all token IDs owned by a specific address
      * This is very useful for displaying a user's complete NFT collection
+     * Token IDs are returned in ascending order, collected in one pass over the collection
      * @param _owner The address to query NFTs for
      * @return An array of token IDs owned by the specified address
      */
     function walletOfOwner(address _owner) public view returns(uint256[] memory) {
-        // Get the total number of NFTs owned by this address
-        uint256 ownerTokenCount = balanceOf(_owner);
+        return _tokensOfOwner(_owner);
+    }
+
+    /**
+     * @dev Returns the royalty owed on a resale, as defined by EIP-2981
+     * The same rate applies to every token, so _tokenId is not checked
+     * @param _salePrice The sale price, in any currency
+     * @return receiver The address the royalty should be paid to
+     * @return royaltyAmount The royalty, in the same currency as _salePrice
+     */
+    function royaltyInfo(uint256, uint256 _salePrice)
+        external
+        view
+        override
+        returns(address receiver, uint256 royaltyAmount)
+    {
+        return (royaltyReceiver, (_salePrice * royaltyBps) / 10000);
+    }
+
+    /**
+     * @dev Advertises EIP-2981 on top of the ERC721 interfaces
+     * @param _interfaceId The ERC165 interface identifier
+     * @return True when the contract implements the interface
+     */
+    function supportsInterface(bytes4 _interfaceId)
+        public
+        view
+        virtual
+        override(ERC721A, IERC165)
+        returns(bool)
+    {
+        return _interfaceId == type(IERC2981).interfaceId || super.supportsInterface(_interfaceId);
+    }
+
+    /**
+     * @dev Returns the number of payees the proceeds are split between
+     */
+    function payeeCount() public view returns(uint256) {
+        return payees.length;
+    }
+
+    /**
+     * @dev Returns the ETH a payee can be paid right now
+     * Shares are applied to everything ever received (balance plus payouts), so each payee's
+     * total stays proportional however often anyone releases. Integer division rounds down;
+     * the leftover wei stays in the contract and is included in later payouts.
+     * @param _account The payee
+     * @return The amount in wei
+     */
+    function releasable(address _account) public view returns(uint256) {
+        uint256 totalReceived = address(this).balance + totalReleased;
+        return (totalReceived * shares[_account]) / totalShares - released[_account];
+    }
+
+    /**
+     * @dev Pays a payee their share of the proceeds
+     * Anyone can call this, but the ETH only ever goes to the payee
+     * @param _account The payee to pay
+     */
+    function release(address payable _account) public {
+        require(shares[_account] > 0, "Account has no shares");
 
-        // Create an array to store the token IDs
-        uint256[] memory tokenIds = new uint256[](ownerTokenCount);
+        uint256 payment = releasable(_account);
+        require(payment > 0, "Account is not due payment");
 
-        // Loop through and collect all token IDs owned by this address
-        for(uint256 i; i < ownerTokenCount; i++) {
-            tokenIds[i] = tokenOfOwnerByIndex(_owner, i);  // Get token ID by index
+        require(_release(_account, payment), "Release failed");
+    }
+
+    /**
+     * @dev Records and sends a payment to a payee
+     * If the payee rejects the ETH the payment is un-recorded, so it stays due
+     * @param _account The payee
+     * @param _payment The amount in wei
+     * @return Whether the payee accepted the payment
+     */
+    function _release(address payable _account, uint256 _payment) internal returns(bool) {
+        // Record the payment before sending it (checks-effects-interactions)
+        released[_account] += _payment;
+        totalReleased += _payment;
+
+        (bool success, ) = _account.call{value: _payment}("");
+        if (!success) {
+            released[_account] -= _payment;
+            totalReleased -= _payment;
+            return false;
         }
 
-        return tokenIds;  // Return the complete array of owned token IDs
+        emit PaymentReleased(_account, _payment);
+        return true;
+    }
+
+    /**
+     * @dev Adds a payee at deployment
+     * @param _account The payee's address
+     * @param _shares The payee's number of shares
+     */
+    function _addPayee(address _account, uint256 _shares) private {
+        require(_account != address(0), "Payee is the zero address");
+        require(_shares > 0, "Payee shares must be greater than 0");
+        require(shares[_account] == 0, "Payee already added");
+
+        payees.push(_account);
+        shares[_account] = _shares;
+        totalShares += _shares;
+
+        emit PayeeAdded(_account, _shares);
     }
 
     // ========== OWNER-ONLY FUNCTIONS ==========
     // These functions can only be called by the contract owner (deployer)
 
     /**
-     * @dev Allows the contract owner to withdraw all ETH from the contract
+     * @dev Allows the contract owner to pay every payee their share in one transaction
      * This is how the project creators collect the funds from NFT sales
+     * Payees can also collect their own share at any time with release()
+     * A payee that rejects the ETH is skipped with a PaymentFailed event, so it can't block the others;
+     * its share stays in the contract until it can receive it
      * Only the owner can call this function (enforced by onlyOwner modifier)
      */
     function withdraw() public onlyOwner {
-        // Get the total ETH balance stored in this contract
-        uint256 balance = address(this).balance;
+        uint256 paid;
 
-        // Transfer all ETH to the owner's address
-        // Using call{value: balance}("") is the recommended way to send ETH
-        (bool success, ) = payable(msg.sender).call{value: balance}("");
-        require(success, "Withdrawal failed");  // Ensure the transfer succeeded
+        // Pay out each payee's share - rounding dust stays in the contract for the next payout
+        for(uint256 i; i < payees.length; i++) {
+            address payable account = payable(payees[i]);
+            uint256 payment = releasable(account);
+            if (payment == 0) continue;
+
+            if (_release(account, payment)) {
+                paid += payment;
+            } else {
+                emit PaymentFailed(account, payment);
+            }
+        }
 
         // Emit an event to log the withdrawal
-        emit Withdraw(balance, msg.sender);
+        emit Withdraw(paid, msg.sender);
     }
 
     /**
@@ -161,4 +502,197 @@ contract NFT is ERC721Enumerable, Ownable {
         cost = _newCost;  // Update the minting cost
     }
 
+    /**
+     * @dev Allows the contract owner to reveal the collection with its final metadata location
+     * From this point tokenURI returns baseURI + tokenId + baseExtension
+     * @param _baseURI The final base IPFS URI where NFT metadata is stored
+     */
+    function reveal(string memory _baseURI) public onlyOwner {
+        require(!revealed, "Already revealed");
+
+        baseURI = _baseURI;              // Set the final metadata location
+        revealed = true;                 // Switch tokenURI over to the real metadata
+        revealedAt = block.timestamp;    // Record when the reveal happened
+
+        // Emit an event so the frontend can swap in the real art
+        emit Reveal(_baseURI, block.timestamp);
+    }
+
+    /**
+     * @dev Allows the contract owner to move the public mint date, e.g. to fix a typo or delay the launch
+     * @param _allowMintingOn Unix timestamp when public minting becomes available
+     */
+    function setAllowMintingOn(uint256 _allowMintingOn) public onlyOwner {
+        require(_allowMintingOn > allowPresaleMintingOn, "Public minting must start after presale");
+        allowMintingOn = _allowMintingOn;  // Update the mint date
+        emit AllowMintingOnChanged(_allowMintingOn);
+    }
+
+    /**
+     * @dev Allows the contract owner to change where metadata is stored, e.g. to fix a wrong IPFS CID
+     * @param _newBaseURI The new base URI (should end with '/')
+     */
+    function setBaseURI(string memory _newBaseURI) public onlyOwner {
+        baseURI = _newBaseURI;  // Update the metadata location
+        emit BaseURIChanged(_newBaseURI);
+    }
+
+    /**
+     * @dev Allows the contract owner to change the metadata file extension
+     * @param _newBaseExtension The new extension (e.g. '.json', or '' for extensionless files)
+     */
+    function setBaseExtension(string memory _newBaseExtension) public onlyOwner {
+        baseExtension = _newBaseExtension;  // Update the file extension
+        emit BaseExtensionChanged(_newBaseExtension);
+    }
+
+    /**
+     * @dev Allows the contract owner to switch tokenURI between on-chain metadata and baseURI
+     * Upload the trait table and every token's traits first (scripts/traits.js)
+     * @param _enabled True to serve on-chain metadata, false to go back to baseURI
+     */
+    function setOnChainMetadata(bool _enabled) public onlyOwner {
+        onChainMetadata = _enabled;  // Update the metadata mode
+        emit OnChainMetadataChanged(_enabled);
+    }
+
+    /**
+     * @dev Allows the contract owner to upload the trait types and their possible values
+     * Replaces the previous table, so upload the tokens' traits again afterwards
+     * @param _description Description included in every token's metadata
+     * @param _traitTypes Trait names, in the order tokens' trait bytes refer to them
+     * @param _traitValues Possible values for each trait type (at most 255 each)
+     */
+    function setTraitTable(
+        string calldata _description,
+        string[] calldata _traitTypes,
+        string[][] calldata _traitValues
+    ) public onlyOwner {
+        require(_traitTypes.length == _traitValues.length, "Trait types and values length mismatch");
+
+        // Clear the previous table
+        for(uint256 i; i < traitTypes.length; i++) {
+            delete traitValues[i];
+        }
+        delete traitTypes;
+
+        for(uint256 i; i < _traitTypes.length; i++) {
+            require(_traitValues[i].length < 256, "Too many values for trait type");
+
+            traitTypes.push(_traitTypes[i]);
+            for(uint256 j; j < _traitValues[i].length; j++) {
+                traitValues[i].push(_traitValues[i][j]);
+            }
+        }
+
+        metadataDescription = _description;
+        emit TraitTableChanged(_traitTypes.length);
+    }
+
+    /**
+     * @dev Allows the contract owner to upload the traits of consecutive tokens
+     * Only after reveal, since stored traits are visible to anyone reading the contract's storage
+     * Tokens can be uploaded before they're minted
+     * @param _fromTokenId The ID of the first token in _traits
+     * @param _traits For each token, one byte per trait type: the value index + 1, or 0 for none
+     */
+    function setTokenTraits(uint256 _fromTokenId, bytes[] calldata _traits) public onlyOwner {
+        require(revealed, "Collection is not revealed yet");
+        require(_fromTokenId >= 1 && _fromTokenId + _traits.length - 1 <= maxSupply, "Token ID out of range");
+
+        for(uint256 i; i < _traits.length; i++) {
+            require(_traits[i].length == traitTypes.length, "Wrong number of traits");
+
+            for(uint256 j; j < _traits[i].length; j++) {
+                require(uint8(_traits[i][j]) <= traitValues[j].length, "Unknown trait value");
+            }
+
+            tokenTraits[_fromTokenId + i] = _traits[i];
+        }
+
+        emit TokenTraitsChanged(_fromTokenId, _traits.length);
+    }
+
+    /**
+     * @dev Allows the contract owner to pause or resume all minting in an emergency
+     * @param _paused True to block mint and presaleMint, false to allow them again
+     */
+    function setPaused(bool _paused) public onlyOwner {
+        paused = _paused;  // Update the pause switch
+        emit PausedChanged(_paused);
+    }
+
+    /**
+     * @dev Allows the contract owner to set who receives royalties and at what rate
+     * @param _receiver The address royalties are paid to
+     * @param _bps The royalty rate in basis points (at most MAX_ROYALTY_BPS)
+     */
+    function setRoyaltyInfo(address _receiver, uint256 _bps) public onlyOwner {
+        require(_receiver != address(0), "Royalty receiver is the zero address");
+        require(_bps <= MAX_ROYALTY_BPS, "Royalty exceeds maximum");
+
+        royaltyReceiver = _receiver;  // Update the royalty receiver
+        royaltyBps = _bps;            // Update the royalty rate
+        emit RoyaltyChanged(_receiver, _bps);
+    }
+
+    /**
+     * @dev Allows the contract owner to update how many NFTs can be minted in one transaction
+     * @param _newMaxMintAmount The new per-transaction mint limit (must be at least 1)
+     */
+    function setMaxMintAmount(uint256 _newMaxMintAmount) public onlyOwner {
+        require(_newMaxMintAmount > 0, "Max mint amount must be at least 1");
+        maxMintAmount = _newMaxMintAmount;  // Update the per-transaction limit
+        emit MaxMintAmountChanged(_newMaxMintAmount);
+    }
+
+    /**
+     * @dev Allows the contract owner to update how many NFTs a single wallet can mint
+     * @param _newMaxPerWallet The new per-wallet mint limit (must be at least 1)
+     */
+    function setMaxPerWallet(uint256 _newMaxPerWallet) public onlyOwner {
+        require(_newMaxPerWallet > 0, "Max per wallet must be at least 1");
+        maxPerWallet = _newMaxPerWallet;  // Update the per-wallet limit
+        emit MaxPerWalletChanged(_newMaxPerWallet);
+    }
+
+    /**
+     * @dev Allows the contract owner to set the allowlist Merkle root
+     * Generate the root with scripts/allowlist.js
+     * @param _merkleRoot The root of the allowlist Merkle tree
+     */
+    function setMerkleRoot(bytes32 _merkleRoot) public onlyOwner {
+        merkleRoot = _merkleRoot;  // Update the allowlist root
+        emit MerkleRootChanged(_merkleRoot);
+    }
+
+    /**
+     * @dev Allows the contract owner to update the presale minting cost
+     * @param _newPresaleCost The new price in wei for minting one NFT in the presale
+     */
+    function setPresaleCost(uint256 _newPresaleCost) public onlyOwner {
+        presaleCost = _newPresaleCost;  // Update the presale cost
+        emit PresaleCostChanged(_newPresaleCost);
+    }
+
+    /**
+     * @dev Allows the contract owner to update how many NFTs an allowlisted address can mint in the presale
+     * @param _newPresaleMaxPerWallet The new presale per-wallet limit (must be at least 1)
+     */
+    function setPresaleMaxPerWallet(uint256 _newPresaleMaxPerWallet) public onlyOwner {
+        require(_newPresaleMaxPerWallet > 0, "Presale max per wallet must be at least 1");
+        presaleMaxPerWallet = _newPresaleMaxPerWallet;  // Update the presale per-wallet limit
+        emit PresaleMaxPerWalletChanged(_newPresaleMaxPerWallet);
+    }
+
+    /**
+     * @dev Allows the contract owner to set when the presale starts
+     * @param _allowPresaleMintingOn Unix timestamp when the presale opens (0 disables the presale)
+     */
+    function setAllowPresaleMintingOn(uint256 _allowPresaleMintingOn) public onlyOwner {
+        require(_allowPresaleMintingOn < allowMintingOn, "Presale must start before public minting");
+        allowPresaleMintingOn = _allowPresaleMintingOn;  // Update the presale start time
+        emit AllowPresaleMintingOnChanged(_allowPresaleMintingOn);
+    }
+
 }
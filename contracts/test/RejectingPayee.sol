@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.0;
+
+/**
+ * @title RejectingPayee
+ * @dev Test-only payee with no receive or fallback function, so every ETH transfer to it reverts
+ * Used to check that one payee that can't be paid doesn't block withdraw() for the others
+ */
+contract RejectingPayee {}
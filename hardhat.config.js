@@ -1,6 +1,73 @@
 require("@nomicfoundation/hardhat-toolbox");
+const { task, types } = require("hardhat/config");
+
+// Deployer key for public networks, e.g. PRIVATE_KEY=0x... npx hardhat deploy --network sepolia
+const accounts = process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [];
+
+// npx hardhat deploy --network <name> [--params <file>] [--force]
+task("deploy", "Deploys the NFT contract and updates src/config.json and src/abis/NFT.json")
+  .addOptionalParam("params", "Deployment parameters file (defaults to deploy-params/<network>.json)")
+  .addFlag("force", "Overwrite an existing deployment for this chainId in src/config.json")
+  .setAction(async (args, hre) => {
+    const { deploy } = require("./scripts/deploy");
+    await hre.run("compile");
+
+    try {
+      await deploy(hre, args);
+      console.log("\n🎉 Deployment completed successfully!");
+    } catch (error) {
+      console.error("\n❌ Deployment failed:");
+      console.error(error.message);
+      process.exitCode = 1;
+    }
+  });
+
+// npx hardhat benchmark [--save --label <description>]
+task("benchmark", "Measures the gas to mint 1, 5 and 10 NFTs against benchmarks/mint-gas.json")
+  .addFlag("save", "Record the current numbers as the new baseline")
+  .addOptionalParam("label", "Description stored with a saved baseline", "current")
+  .setAction(async (args, hre) => {
+    const { benchmark } = require("./scripts/benchmark");
+    await hre.run("compile");
+    await benchmark(hre, args);
+  });
+
+// npx hardhat validate-metadata [--network <name>] [--metadata <dir>] [--images <dir>] [--max-supply <n>]
+task("validate-metadata", "Checks metadata/ and images/ against each other and the contract's maxSupply")
+  .addOptionalParam("metadata", "Metadata folder (defaults to metadata/)")
+  .addOptionalParam("images", "Images folder (defaults to images/)")
+  .addOptionalParam("maxSupply", "Check against this supply instead of the deployed contract's", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { validate } = require("./scripts/validate");
+
+    try {
+      if (!(await validate(hre, args))) process.exitCode = 1;
+    } catch (error) {
+      console.error("\n❌ Validation failed:");
+      console.error(error.message);
+      process.exitCode = 1;
+    }
+  });
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.9",
+  solidity: {
+    version: "0.8.9",
+    // Without the optimizer the contract is over the 24KB deployment size limit
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+    },
+  },
+  // Each network's chainId must match its entry in src/config.json
+  networks: {
+    localhost: {
+      url: "http://127.0.0.1:8545",
+      chainId: 31337,
+    },
+    sepolia: {
+      url: process.env.SEPOLIA_RPC_URL || "https://rpc.sepolia.org",
+      chainId: 11155111,
+      accounts,
+    },
+  },
 };
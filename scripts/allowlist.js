@@ -0,0 +1,147 @@
+/**
+ * @title Allowlist Merkle Tree Script
+ * @dev Builds the presale allowlist Merkle tree and writes the root and proofs for the frontend
+ *
+ * How to run this script:
+ * 1. Generate the proofs file: npx hardhat run scripts/allowlist.js
+ * 2. Also set the root on the deployed contract: SET_ROOT=true npx hardhat run scripts/allowlist.js --network localhost
+ *
+ * Options (environment variables, since `hardhat run` doesn't forward CLI arguments):
+ * - ALLOWLIST_FILE: CSV or JSON address list (default: allowlist/addresses.json)
+ * - SET_ROOT: set to "true" to call setMerkleRoot on the NFT contract from src/config.json
+ *
+ * Input formats:
+ * - JSON: an array of addresses, or an array of objects with an `address` field
+ * - CSV: one address per line in the first column (a header row is skipped)
+ */
+
+// Import Hardhat Runtime Environment for blockchain interaction
+const hre = require("hardhat");
+
+// Node.js modules for reading the address list and writing the proofs file
+const fs = require('fs')
+const path = require('path')
+
+// Merkle tree implementation compatible with OpenZeppelin's MerkleProof (sorted pairs)
+const { MerkleTree } = require('merkletreejs')
+
+const DEFAULT_ALLOWLIST_FILE = path.join(__dirname, '..', 'allowlist', 'addresses.json')
+const OUTPUT_FILE = path.join(__dirname, '..', 'src', 'allowlist.json')
+const CONFIG_FILE = path.join(__dirname, '..', 'src', 'config.json')
+
+/**
+ * @dev Reads addresses from a CSV or JSON file
+ * @param file Path to the address list
+ * @return Array of checksummed, de-duplicated addresses
+ */
+function readAddresses(file) {
+  const contents = fs.readFileSync(file, 'utf8')
+  let entries
+
+  if (path.extname(file).toLowerCase() === '.csv') {
+    // Take the first column of every non-empty line
+    entries = contents
+      .split(/\r?\n/)
+      .map(line => line.split(',')[0].trim())
+      .filter(line => line.length > 0)
+
+    // Skip a header row such as "address"
+    if (entries.length > 0 && !hre.ethers.utils.isAddress(entries[0])) {
+      entries.shift()
+    }
+  } else {
+    entries = JSON.parse(contents).map(entry => typeof entry === 'string' ? entry : entry.address)
+  }
+
+  const addresses = entries.map((entry, i) => {
+    if (!hre.ethers.utils.isAddress(entry)) {
+      throw new Error(`Invalid address at entry ${i + 1}: ${entry}`)
+    }
+    return hre.ethers.utils.getAddress(entry)
+  })
+
+  return [...new Set(addresses)]
+}
+
+/**
+ * @dev Hashes an address the same way NFT.presaleMint builds its leaf
+ * @param address The address to hash
+ * @return keccak256(abi.encodePacked(address)) as a hex string
+ */
+function hashAddress(address) {
+  return hre.ethers.utils.solidityKeccak256(['address'], [address])
+}
+
+/**
+ * @dev Builds the allowlist Merkle tree and collects a proof for every address
+ * @param addresses Array of allowlisted addresses
+ * @return Object with the tree, its root and a proofs map keyed by checksummed address
+ */
+function buildAllowlist(addresses) {
+  const leaves = addresses.map(hashAddress)
+  const tree = new MerkleTree(leaves, hre.ethers.utils.keccak256, { sortPairs: true })
+
+  const proofs = {}
+  addresses.forEach((address, i) => {
+    proofs[hre.ethers.utils.getAddress(address)] = tree.getHexProof(leaves[i])
+  })
+
+  return { tree, root: tree.getHexRoot(), proofs }
+}
+
+/**
+ * @dev Main function that builds the tree, writes the proofs file and optionally sets the root
+ */
+async function main() {
+  const allowlistFile = process.env.ALLOWLIST_FILE || DEFAULT_ALLOWLIST_FILE
+
+  console.log(`Reading allowlist from ${allowlistFile}`)
+  const addresses = readAddresses(allowlistFile)
+
+  if (addresses.length === 0) {
+    throw new Error('Allowlist is empty')
+  }
+
+  const { root, proofs } = buildAllowlist(addresses)
+
+  // Write the root and proofs where the frontend can import them
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify({ root, proofs }, null, 2) + '\n')
+
+  console.log(`Addresses: ${addresses.length}`)
+  console.log(`Merkle Root: ${root}`)
+  console.log(`📄 Proofs written to ${path.relative(process.cwd(), OUTPUT_FILE)}\n`)
+
+  if (process.env.SET_ROOT !== 'true') {
+    console.log('Skipping setMerkleRoot (run with SET_ROOT=true to update the deployed contract)')
+    return
+  }
+
+  // Look up the deployed contract for the current network
+  const { chainId } = await hre.ethers.provider.getNetwork()
+  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'))
+
+  if (!config[chainId]) {
+    throw new Error(`No NFT address configured for chainId ${chainId} in src/config.json`)
+  }
+
+  const nft = await hre.ethers.getContractAt('NFT', config[chainId].nft.address)
+
+  const transaction = await nft.setMerkleRoot(root)
+  await transaction.wait()
+
+  console.log(`✅ Merkle root set on NFT contract ${nft.address}`)
+}
+
+// ========== SCRIPT EXECUTION ==========
+// Only run when executed directly so the helpers can be reused from tests
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('\n❌ Allowlist generation failed:')
+      console.error(error)
+      process.exit(1)
+    })
+}
+
+module.exports = { readAddresses, hashAddress, buildAllowlist }
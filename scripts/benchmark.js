@@ -0,0 +1,97 @@
+/**
+ * @title Mint Gas Benchmark
+ * @dev Measures the gas used to mint 1, 5 and 10 NFTs in one transaction and compares it with a saved baseline
+ *
+ * How to run this script:
+ * 1. Compare with the baseline: npx hardhat benchmark
+ * 2. Record the current numbers as the new baseline: npx hardhat benchmark --save --label "<description>"
+ *
+ * The baseline in benchmarks/mint-gas.json was recorded from the ERC721Enumerable implementation,
+ * which minted each token with its own _safeMint and enumeration storage writes.
+ *
+ * Every amount is measured on a fresh deployment on the in-process hardhat network, minting
+ * from an account that hasn't minted before, so the numbers don't depend on earlier runs.
+ */
+
+// Node.js modules for reading and writing the baseline
+const fs = require('fs')
+const path = require('path')
+
+const BASELINE_FILE = path.join(__dirname, '..', 'benchmarks', 'mint-gas.json')
+
+// Numbers of NFTs minted in a single transaction
+const AMOUNTS = [1, 5, 10]
+
+/**
+ * @dev Deploys a fresh contract and measures one mint
+ * @param hre Hardhat Runtime Environment
+ * @param amount Number of NFTs to mint
+ * @return The gas used by the mint transaction
+ */
+async function measureMint(hre, amount) {
+  const { ethers } = hre
+  const [deployer, minter] = await ethers.getSigners()
+
+  const cost = ethers.utils.parseUnits('0.01', 'ether')
+  const { timestamp } = await ethers.provider.getBlock('latest')
+
+  const NFT = await ethers.getContractFactory('NFT')
+  const nft = await NFT.deploy(
+    'Dapp Punks', 'DP', cost, 25, timestamp, 'ipfs://benchmark/', '', [deployer.address], [1]
+  )
+  await nft.deployed()
+
+  // The default per-transaction limit is below the largest amount
+  await (await nft.setMaxMintAmount(Math.max(...AMOUNTS))).wait()
+
+  const transaction = await nft.connect(minter).mint(amount, { value: cost.mul(amount) })
+  const receipt = await transaction.wait()
+
+  return receipt.gasUsed.toNumber()
+}
+
+/**
+ * @dev Runs the benchmark, prints the comparison and optionally saves the baseline
+ * @param hre Hardhat Runtime Environment
+ * @param options Object with the save flag and the label stored with a saved baseline
+ */
+async function benchmark(hre, { save = false, label = 'current' } = {}) {
+  if (hre.network.name !== 'hardhat') {
+    throw new Error('Run the benchmark on the in-process hardhat network (no --network)')
+  }
+
+  const gasUsed = {}
+  for (const amount of AMOUNTS) {
+    gasUsed[amount] = await measureMint(hre, amount)
+  }
+
+  const baseline = fs.existsSync(BASELINE_FILE)
+    ? JSON.parse(fs.readFileSync(BASELINE_FILE, 'utf8'))
+    : null
+
+  console.log(`⛽ Mint gas${baseline ? ` compared with ${baseline.label}` : ''}:\n`)
+
+  const rows = AMOUNTS.map(amount => {
+    const row = { Amount: amount, 'Gas Used': gasUsed[amount], 'Per NFT': Math.round(gasUsed[amount] / amount) }
+
+    const before = baseline?.gasUsed[amount]
+    if (before) {
+      row.Baseline = before
+      row['Change %'] = Number(((gasUsed[amount] - before) / before * 100).toFixed(1))
+    }
+
+    return row
+  })
+
+  console.table(rows)
+
+  if (save) {
+    fs.mkdirSync(path.dirname(BASELINE_FILE), { recursive: true })
+    fs.writeFileSync(BASELINE_FILE, JSON.stringify({ label, gasUsed }, null, 2) + '\n')
+    console.log(`\n📄 Baseline written to ${path.relative(process.cwd(), BASELINE_FILE)}`)
+  }
+
+  return gasUsed
+}
+
+module.exports = { benchmark }
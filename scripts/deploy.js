@@ -3,8 +3,31 @@
  * @dev This script deploys the Dapp Punks NFT contract to the blockchain
  *
  * How to run this script:
- * 1. For local deployment: npx hardhat run scripts/deploy.js --network localhost
- * 2. For testnet deployment: npx hardhat run scripts/deploy.js --network goerli
+ * 1. For local deployment: npx hardhat deploy --network localhost
+ * 2. For testnet deployment: npx hardhat deploy --network sepolia
+ * 3. To replace an existing deployment in src/config.json: npx hardhat deploy --network localhost --force
+ *    (not needed on a fresh local node - a recorded address with no contract behind it is replaced)
+ * 4. With a custom parameters file: npx hardhat deploy --network localhost --params path/to/params.json
+ *
+ * `npx hardhat run scripts/deploy.js --network localhost` also works; use FORCE=true and
+ * DEPLOY_PARAMS=<file> there since `hardhat run` doesn't forward CLI arguments.
+ *
+ * Deployment parameters are read from deploy-params/<network>.json:
+ * - name, symbol: collection name and ticker
+ * - cost: price to mint one NFT, in ETH (e.g. "10")
+ * - maxSupply: maximum number of NFTs that can ever be minted
+ * - mintDate: when minting opens, as an ISO date or Unix timestamp
+ *   (or mintDelaySeconds: seconds from now, used when mintDate is missing)
+ * - baseURI: IPFS folder containing the numbered metadata files
+ * - placeholderURI: placeholder metadata URI for a hidden (delayed reveal) launch, "" to reveal on deploy
+ * - royaltyBps: optional EIP-2981 royalty in basis points (500 = 5%, at most 1000), 0 by default
+ * - royaltyReceiver: optional address royalties are paid to, the deployer by default
+ * - payees: optional list of { "address", "shares" } that mint proceeds are split between,
+ *   the deployer with 1 share by default (fixed once deployed)
+ *
+ * After a successful deploy the script:
+ * - Merges the address and deployment block into src/config.json under the network's chainId
+ * - Regenerates src/abis/NFT.json from the compiled artifact
  *
  * Make sure to:
  * - Have a local Hardhat node running (npx hardhat node) for local deployment
@@ -12,40 +35,189 @@
  * - Have sufficient ETH in your deployer account for gas fees
  */
 
-// Import Hardhat Runtime Environment for blockchain interaction
-const hre = require("hardhat");
+// Node.js modules for reading parameters and writing the frontend config
+const fs = require('fs')
+const path = require('path')
+
+const PARAMS_DIR = path.join(__dirname, '..', 'deploy-params')
+const CONFIG_FILE = path.join(__dirname, '..', 'src', 'config.json')
+const ABI_FILE = path.join(__dirname, '..', 'src', 'abis', 'NFT.json')
+
+// Chain ID of `npx hardhat node`, which starts empty every time it's restarted
+const LOCAL_CHAIN_ID = 31337
+
+// Mirrors NFT.MAX_ROYALTY_BPS so a bad rate fails before paying for a deployment
+const MAX_ROYALTY_BPS = 1000
+
+/**
+ * @dev Loads and validates the deployment parameters for a network
+ * @param hre Hardhat Runtime Environment
+ * @param paramsFile Optional explicit path to a parameters file
+ * @return Object with the constructor arguments and the file they came from
+ */
+function loadParams(hre, paramsFile) {
+  // The in-process hardhat network shares the localhost parameters
+  const networkName = hre.network.name === 'hardhat' ? 'localhost' : hre.network.name
+  const file = paramsFile ? path.resolve(paramsFile) : path.join(PARAMS_DIR, `${networkName}.json`)
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment parameters found at ${file}`)
+  }
+
+  const params = JSON.parse(fs.readFileSync(file, 'utf8'))
+
+  for (const field of ['name', 'symbol', 'cost', 'maxSupply', 'baseURI']) {
+    if (params[field] === undefined || params[field] === '') {
+      throw new Error(`Missing "${field}" in ${file}`)
+    }
+  }
+
+  // Minting opens at mintDate, or mintDelaySeconds from now (default 60)
+  let mintDate
+  if (params.mintDate !== undefined) {
+    mintDate = typeof params.mintDate === 'number'
+      ? params.mintDate
+      : Math.floor(new Date(params.mintDate).getTime() / 1000)
+  } else {
+    mintDate = Math.floor(Date.now() / 1000) + (params.mintDelaySeconds ?? 60)
+  }
+
+  if (!Number.isInteger(mintDate) || mintDate <= 0) {
+    throw new Error(`Invalid mintDate "${params.mintDate}" in ${file}`)
+  }
+
+  const placeholderURI = params.placeholderURI || ''
+
+  const royaltyBps = params.royaltyBps ?? 0
+  if (!Number.isInteger(royaltyBps) || royaltyBps < 0 || royaltyBps > MAX_ROYALTY_BPS) {
+    throw new Error(`Invalid royaltyBps "${params.royaltyBps}" in ${file} (expected 0-${MAX_ROYALTY_BPS})`)
+  }
+
+  if (params.royaltyReceiver !== undefined && !hre.ethers.utils.isAddress(params.royaltyReceiver)) {
+    throw new Error(`Invalid royaltyReceiver "${params.royaltyReceiver}" in ${file}`)
+  }
+
+  // The contract checks these too, but a bad entry should fail before paying for a deployment
+  const payees = params.payees ?? null
+  if (payees !== null) {
+    if (!Array.isArray(payees) || payees.length === 0) {
+      throw new Error(`"payees" in ${file} must be a non-empty list of { "address", "shares" }`)
+    }
+
+    payees.forEach((payee, i) => {
+      if (!hre.ethers.utils.isAddress(payee.address)) {
+        throw new Error(`Invalid address "${payee.address}" for payee ${i} in ${file}`)
+      }
+      if (!Number.isInteger(payee.shares) || payee.shares <= 0) {
+        throw new Error(`Invalid shares "${payee.shares}" for payee ${i} in ${file}`)
+      }
+    })
+
+    const addresses = payees.map(payee => payee.address.toLowerCase())
+    if (new Set(addresses).size !== addresses.length) {
+      throw new Error(`Duplicate payee address in ${file}`)
+    }
+  }
+
+  return {
+    file,
+    name: params.name,
+    symbol: params.symbol,
+    cost: hre.ethers.utils.parseUnits(params.cost.toString(), 'ether'),
+    maxSupply: params.maxSupply,
+    mintDate,
+    // When hidden, the real metadata location isn't published until reveal(baseURI)
+    revealURI: params.baseURI,
+    baseURI: placeholderURI ? '' : params.baseURI,
+    placeholderURI,
+    royaltyBps,
+    royaltyReceiver: params.royaltyReceiver || null,
+    payees
+  }
+}
+
+/**
+ * @dev Adds the new deployment to the frontend config under its chainId
+ * @param hre Hardhat Runtime Environment
+ * @param chainId The network's chain ID
+ * @param deployment Object with the contract address and deployment block
+ */
+function writeConfig(hre, chainId, deployment) {
+  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'))
+
+  // Keep existing network details (name, rpcUrl, explorerUrl...) and only replace the deployment
+  const existing = config[chainId] || {
+    name: hre.network.name,
+    rpcUrl: hre.network.config.url || '',
+    explorerUrl: '',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+  }
+
+  config[chainId] = { ...existing, nft: { ...existing.nft, ...deployment } }
+
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2) + '\n')
+}
+
+/**
+ * @dev Regenerates the frontend ABI from the compiled contract artifact
+ * @param hre Hardhat Runtime Environment
+ */
+async function writeABI(hre) {
+  const artifact = await hre.artifacts.readArtifact('NFT')
+  fs.writeFileSync(ABI_FILE, JSON.stringify(artifact.abi, null, 2) + '\n')
+}
 
 /**
- * @dev Main deployment function that sets up and deploys the NFT contract
+ * @dev Deploys the NFT contract and updates the frontend config and ABI
+ * @param hre Hardhat Runtime Environment
+ * @param options Object with an optional params file path and the force flag
  */
-async function main() {
+async function deploy(hre, { params: paramsFile, force = false } = {}) {
   // ========== CONTRACT CONFIGURATION ==========
-  // These parameters define the characteristics of your NFT collection
 
-  const NAME = 'Dapp Punks'  // The full name of your NFT collection
-  const SYMBOL = 'DP'        // Short symbol/ticker (usually 2-5 characters)
+  const params = loadParams(hre, paramsFile)
+  const { chainId } = await hre.ethers.provider.getNetwork()
 
-  // Cost to mint one NFT (10 ETH in this example)
-  // parseUnits converts human-readable ETH amount to wei (smallest ETH unit)
-  const COST = ethers.utils.parseUnits('10', 'ether')
+  // The in-process hardhat network disappears after the script, so there's nothing to record
+  const isEphemeral = hre.network.name === 'hardhat'
 
-  const MAX_SUPPLY = 25      // Maximum number of NFTs that can ever be minted
+  // Check before deploying so an existing entry doesn't cost a wasted deployment
+  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'))
+  const existingAddress = config[chainId]?.nft?.address
 
-  // Set minting to be available 1 minute from now (60000 milliseconds)
-  // Date.now() gives current timestamp, we add 60 seconds and convert to Unix timestamp
-  const NFT_MINT_DATE = (Date.now() + 60000).toString().slice(0, 10)
+  // A restarted local node has no contracts, so the recorded address is stale and safe to replace
+  const isStaleLocal = !isEphemeral && chainId === LOCAL_CHAIN_ID && existingAddress &&
+    await hre.ethers.provider.getCode(existingAddress) === '0x'
+  if (isStaleLocal) {
+    console.log(`No contract at ${existingAddress} on this node - replacing the stale entry in src/config.json\n`)
+  }
 
-  // IPFS base URI where NFT metadata and images are stored
-  // This should point to a folder containing numbered JSON files (1.json, 2.json, etc.)
-  const IPFS_METADATA_URI = 'ipfs://QmQ2jnDYecFhrf3asEWjyjZRX1pZSsNWG3qHzmNDvXa9qg/'
+  if (!isEphemeral && existingAddress && !force && !isStaleLocal) {
+    throw new Error(
+      `src/config.json already has an NFT deployment for chainId ${chainId} (${existingAddress}).\n` +
+      'Re-run with --force (or FORCE=true) to overwrite it.'
+    )
+  }
 
-  console.log('Deploying NFT contract with the following parameters:')
-  console.log(`Name: ${NAME}`)
-  console.log(`Symbol: ${SYMBOL}`)
-  console.log(`Cost: ${ethers.utils.formatEther(COST)} ETH`)
-  console.log(`Max Supply: ${MAX_SUPPLY}`)
-  console.log(`Mint Date: ${new Date(NFT_MINT_DATE * 1000)}`)
-  console.log(`Metadata URI: ${IPFS_METADATA_URI}\n`)
+  // Without configured payees the deployer receives all the proceeds
+  const [deployer] = await hre.ethers.getSigners()
+  const payees = params.payees || [{ address: deployer.address, shares: 1 }]
+  const totalShares = payees.reduce((total, payee) => total + payee.shares, 0)
+
+  console.log(`Deploying NFT contract to ${hre.network.name} (chainId ${chainId}) with parameters from ${path.relative(process.cwd(), params.file)}:`)
+  console.log(`Name: ${params.name}`)
+  console.log(`Symbol: ${params.symbol}`)
+  console.log(`Cost: ${hre.ethers.utils.formatEther(params.cost)} ETH`)
+  console.log(`Max Supply: ${params.maxSupply}`)
+  console.log(`Mint Date: ${new Date(params.mintDate * 1000)}`)
+  console.log(`Metadata URI: ${params.baseURI || '(hidden until reveal)'}`)
+  console.log(`Placeholder URI: ${params.placeholderURI || '(none - revealed on deploy)'}`)
+  console.log(`Royalty: ${params.royaltyBps / 100}% to ${params.royaltyReceiver || 'the deployer'}`)
+  console.log('Payees:')
+  payees.forEach(payee => {
+    console.log(`  ${payee.address}: ${payee.shares} share${payee.shares !== 1 ? 's' : ''} (${(payee.shares / totalShares * 100).toFixed(2)}%)`)
+  })
+  console.log('')
 
   // ========== CONTRACT DEPLOYMENT ==========
 
@@ -53,34 +225,82 @@ async function main() {
   const NFT = await hre.ethers.getContractFactory('NFT')
 
   // Deploy the contract with our configuration parameters
-  // This creates a new instance of the contract on the blockchain
-  let nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, NFT_MINT_DATE, IPFS_METADATA_URI)
+  const nft = await NFT.deploy(
+    params.name,
+    params.symbol,
+    params.cost,
+    params.maxSupply,
+    params.mintDate,
+    params.baseURI,
+    params.placeholderURI,
+    payees.map(payee => payee.address),
+    payees.map(payee => payee.shares)
+  )
 
   // Wait for the deployment transaction to be mined and confirmed
   await nft.deployed()
+  const receipt = await nft.deployTransaction.wait()
+
+  // The contract starts at 0% to the deployer, so only a configured royalty needs a transaction
+  if (params.royaltyBps > 0 || params.royaltyReceiver) {
+    const transaction = await nft.setRoyaltyInfo(params.royaltyReceiver || deployer.address, params.royaltyBps)
+    await transaction.wait()
+  }
+
+  // ========== FRONTEND CONFIGURATION ==========
+
+  await writeABI(hre)
+
+  if (!isEphemeral) {
+    writeConfig(hre, chainId, { address: nft.address, deploymentBlock: receipt.blockNumber })
+  }
+
+  // ========== DEPLOYMENT SUMMARY ==========
 
-  // Log the successful deployment with the contract address
   console.log(`✅ NFT contract deployed successfully!`)
   console.log(`📍 Contract Address: ${nft.address}`)
-  console.log(`🔗 Add this address to your frontend config.json file\n`)
-
-  // Additional deployment information
-  console.log('Next steps:')
-  console.log('1. Copy the contract address above')
-  console.log('2. Update src/config.json with the new contract address')
-  console.log('3. Start your frontend: npm start')
-  console.log('4. Connect MetaMask and start minting!')
+  console.log(`👤 Deployer: ${deployer.address}`)
+  console.log(`⛓  Network: ${hre.network.name} (chainId ${chainId})`)
+  console.log(`🧱 Deployment Block: ${receipt.blockNumber}`)
+  console.log(`⛽ Gas Used: ${receipt.gasUsed.toString()}`)
+  console.log(`📄 ABI written to ${path.relative(process.cwd(), ABI_FILE)}`)
+
+  if (isEphemeral) {
+    console.log('⚠️  Deployed to the in-process hardhat network - src/config.json was not updated')
+  } else {
+    console.log(`📄 ${existingAddress ? `Replaced ${existingAddress} in` : 'Added to'} ${path.relative(process.cwd(), CONFIG_FILE)}`)
+  }
+
+  console.log('\nNext steps:')
+  console.log('1. Start your frontend: npm start')
+  console.log('2. Connect MetaMask and start minting!')
+
+  if (params.placeholderURI) {
+    console.log(`3. Reveal the collection later with: reveal('${params.revealURI}')`)
+  }
+
+  return nft
 }
 
 // ========== SCRIPT EXECUTION ==========
+// When run with `hardhat run`, options come from the environment
 // This pattern allows us to use async/await and properly handle any errors
-main()
-  .then(() => {
-    console.log('\n🎉 Deployment completed successfully!')
-    process.exit(0)  // Exit with success code
-  })
-  .catch((error) => {
-    console.error('\n❌ Deployment failed:')
-    console.error(error)
-    process.exit(1)  // Exit with error code
+if (require.main === module) {
+  const hre = require("hardhat")
+
+  deploy(hre, {
+    params: process.env.DEPLOY_PARAMS,
+    force: process.argv.includes('--force') || process.env.FORCE === 'true'
   })
+    .then(() => {
+      console.log('\n🎉 Deployment completed successfully!')
+      process.exit(0)  // Exit with success code
+    })
+    .catch((error) => {
+      console.error('\n❌ Deployment failed:')
+      console.error(error)
+      process.exit(1)  // Exit with error code
+    })
+}
+
+module.exports = { deploy }
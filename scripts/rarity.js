@@ -0,0 +1,104 @@
+/**
+ * @title Rarity Table Script
+ * @dev Computes trait rarity for the collection from the metadata/ directory
+ *
+ * How to run this script:
+ * - node scripts/rarity.js
+ *
+ * Writes src/rarity.json, which the frontend reads to show trait rarity, scores and ranks.
+ * The table holds trait value counts and the collection's scores without token IDs, so it can
+ * ship before the reveal: a token's score and rank are only known once its attributes are.
+ *
+ * Scoring:
+ * - Each trait value scores total / count (a value held by 1 of 25 punks scores 25)
+ * - A token's rarity score is the sum of its trait scores
+ * - Ranks are ordered by score, highest first (rank 1 is the rarest); tokens with the same score share a rank
+ */
+
+// Node.js modules for reading metadata and writing the rarity table
+const fs = require('fs')
+const path = require('path')
+
+const METADATA_DIR = path.join(__dirname, '..', 'metadata')
+const OUTPUT_FILE = path.join(__dirname, '..', 'src', 'rarity.json')
+
+/**
+ * @dev Reads every N.json file in the metadata directory
+ * @param dir Path to the metadata directory
+ * @return Array of { tokenId, attributes } sorted by token ID
+ */
+function readMetadata(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => /^\d+\.json$/.test(file))
+    .map(file => {
+      const metadata = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+      return {
+        tokenId: parseInt(path.basename(file, '.json')),
+        attributes: metadata.attributes || []
+      }
+    })
+    .sort((a, b) => a.tokenId - b.tokenId)
+}
+
+/**
+ * @dev Builds the rarity table for a set of tokens
+ * @param tokens Array of { tokenId, attributes }
+ * @return Object with the token count, trait value counts and every token's score, rarest first
+ */
+function buildRarity(tokens) {
+  const total = tokens.length
+
+  // Count how many tokens have each trait value
+  const traits = {}
+  tokens.forEach(({ attributes }) => {
+    attributes.forEach(({ trait_type, value }) => {
+      traits[trait_type] = traits[trait_type] || {}
+      traits[trait_type][value] = (traits[trait_type][value] || 0) + 1
+    })
+  })
+
+  // Score each token as the sum of its trait scores - not keyed by token ID, so
+  // nothing here tells which token is rare before its attributes are revealed
+  const scores = tokens
+    .map(({ attributes }) => {
+      const score = attributes.reduce((sum, { trait_type, value }) => (
+        sum + total / traits[trait_type][value]
+      ), 0)
+      return Math.round(score * 100) / 100
+    })
+    .sort((a, b) => b - a)
+
+  return { total, traits, scores }
+}
+
+/**
+ * @dev Main function that reads the metadata and writes the rarity table
+ */
+function main() {
+  const tokens = readMetadata(METADATA_DIR)
+
+  if (tokens.length === 0) {
+    throw new Error(`No metadata files found in ${METADATA_DIR}`)
+  }
+
+  const rarity = buildRarity(tokens)
+
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(rarity, null, 2) + '\n')
+
+  console.log(`Tokens: ${rarity.total}`)
+  console.log(`Trait types: ${Object.keys(rarity.traits).length}`)
+  console.log(`📄 Rarity table written to ${path.relative(process.cwd(), OUTPUT_FILE)}`)
+}
+
+// ========== SCRIPT EXECUTION ==========
+if (require.main === module) {
+  try {
+    main()
+  } catch (error) {
+    console.error('\n❌ Rarity generation failed:')
+    console.error(error)
+    process.exit(1)
+  }
+}
+
+module.exports = { readMetadata, buildRarity }
@@ -0,0 +1,177 @@
+/**
+ * @title On-Chain Traits Script
+ * @dev Uploads the trait table from the metadata/ directory to the NFT contract for fully on-chain metadata
+ *
+ * How to run this script:
+ * 1. Upload the traits: npx hardhat run scripts/traits.js --network localhost
+ * 2. Also switch tokenURI to on-chain metadata: ENABLE=true npx hardhat run scripts/traits.js --network localhost
+ *
+ * Options (environment variables, since `hardhat run` doesn't forward CLI arguments):
+ * - METADATA_DIR: directory of N.json metadata files (default: metadata/)
+ * - BATCH_SIZE: number of tokens per setTokenTraits transaction (default: 100)
+ * - ENABLE: set to "true" to call setOnChainMetadata(true) once everything is uploaded
+ *
+ * The contract stores each trait type's values once and one byte per trait type for every token.
+ * Token traits can only be uploaded once the collection is revealed, so they can't be read early.
+ * Names and values are written into the JSON and SVG as-is, so characters that would need
+ * escaping (quotes, backslashes, <, > and &) are rejected here.
+ */
+
+// Import Hardhat Runtime Environment for blockchain interaction
+const hre = require("hardhat");
+
+// Node.js modules for reading the metadata and the deployed contract address
+const fs = require('fs')
+const path = require('path')
+
+// Reads { tokenId, attributes } from every N.json file
+const { readMetadata } = require('./rarity')
+
+const DEFAULT_METADATA_DIR = path.join(__dirname, '..', 'metadata')
+const CONFIG_FILE = path.join(__dirname, '..', 'src', 'config.json')
+
+// Characters the contract would have to escape in JSON or SVG
+const UNSAFE_CHARACTERS = /["\\<>&\u0000-\u001f]/
+
+/**
+ * @dev Throws when a name or value can't be written into the on-chain JSON and SVG as-is
+ * @param text The trait type, value or description
+ * @param where Description of where the text came from, for the error message
+ */
+function checkSafe(text, where) {
+  if (UNSAFE_CHARACTERS.test(text)) {
+    throw new Error(`${where} contains a character that can't be stored on-chain (" \\ < > & or a control character): ${JSON.stringify(text)}`)
+  }
+}
+
+/**
+ * @dev Builds the contract's trait table from the collection's attributes
+ * @param tokens Array of { tokenId, attributes } sorted by token ID, starting at 1 with no gaps
+ * @return Object with the trait types, each type's values and one hex byte string per token
+ */
+function buildTraitTable(tokens) {
+  const traitTypes = []
+  const traitValues = []
+
+  tokens.forEach(({ tokenId, attributes }, i) => {
+    if (tokenId !== i + 1) {
+      throw new Error(`Expected metadata for token ${i + 1}, found ${tokenId} - token IDs must start at 1 with no gaps`)
+    }
+
+    // Trait types and values are numbered in order of first appearance
+    attributes.forEach(({ trait_type, value }) => {
+      checkSafe(trait_type, `Trait type of token ${tokenId}`)
+      checkSafe(String(value), `"${trait_type}" value of token ${tokenId}`)
+
+      let typeIndex = traitTypes.indexOf(trait_type)
+      if (typeIndex === -1) {
+        typeIndex = traitTypes.push(trait_type) - 1
+        traitValues.push([])
+      }
+
+      if (!traitValues[typeIndex].includes(String(value))) {
+        traitValues[typeIndex].push(String(value))
+      }
+    })
+  })
+
+  traitValues.forEach((values, i) => {
+    if (values.length > 255) {
+      throw new Error(`"${traitTypes[i]}" has ${values.length} values - the contract stores at most 255 per trait type`)
+    }
+  })
+
+  // One byte per trait type: the value's index + 1, or 0 when the token doesn't have the trait
+  const tokenTraits = tokens.map(({ attributes }) => {
+    const bytes = new Uint8Array(traitTypes.length)
+
+    attributes.forEach(({ trait_type, value }) => {
+      const typeIndex = traitTypes.indexOf(trait_type)
+      bytes[typeIndex] = traitValues[typeIndex].indexOf(String(value)) + 1
+    })
+
+    return hre.ethers.utils.hexlify(bytes)
+  })
+
+  return { traitTypes, traitValues, tokenTraits }
+}
+
+/**
+ * @dev Main function that reads the metadata and uploads the trait table to the deployed contract
+ */
+async function main() {
+  const metadataDir = process.env.METADATA_DIR || DEFAULT_METADATA_DIR
+  const batchSize = parseInt(process.env.BATCH_SIZE || '100')
+
+  console.log(`Reading metadata from ${metadataDir}`)
+  const tokens = readMetadata(metadataDir)
+
+  if (tokens.length === 0) {
+    throw new Error(`No metadata files found in ${metadataDir}`)
+  }
+
+  // Every token in the collection shares one description
+  const { description = '' } = JSON.parse(fs.readFileSync(path.join(metadataDir, `${tokens[0].tokenId}.json`), 'utf8'))
+  checkSafe(description, 'Description')
+
+  const { traitTypes, traitValues, tokenTraits } = buildTraitTable(tokens)
+
+  console.log(`Tokens: ${tokens.length}`)
+  traitTypes.forEach((traitType, i) => console.log(`  ${traitType}: ${traitValues[i].length} values`))
+
+  // Look up the deployed contract for the current network
+  const { chainId } = await hre.ethers.provider.getNetwork()
+  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'))
+
+  if (!config[chainId]) {
+    throw new Error(`No NFT address configured for chainId ${chainId} in src/config.json`)
+  }
+
+  const nft = await hre.ethers.getContractAt('NFT', config[chainId].nft.address)
+
+  if (!(await nft.revealed())) {
+    throw new Error('The collection is not revealed yet - upload the traits after reveal() so they stay hidden until then')
+  }
+
+  const maxSupply = (await nft.maxSupply()).toNumber()
+  if (tokens.length > maxSupply) {
+    throw new Error(`Found metadata for ${tokens.length} tokens but the contract's maxSupply is ${maxSupply}`)
+  }
+
+  let transaction = await nft.setTraitTable(description, traitTypes, traitValues)
+  await transaction.wait()
+  console.log('\n✅ Trait table uploaded')
+
+  for (let start = 0; start < tokenTraits.length; start += batchSize) {
+    const batch = tokenTraits.slice(start, start + batchSize)
+
+    transaction = await nft.setTokenTraits(start + 1, batch)
+    await transaction.wait()
+
+    console.log(`✅ Traits uploaded for tokens ${start + 1}-${start + batch.length}`)
+  }
+
+  if (process.env.ENABLE !== 'true') {
+    console.log('\nSkipping setOnChainMetadata (run with ENABLE=true to switch tokenURI to on-chain metadata)')
+    return
+  }
+
+  transaction = await nft.setOnChainMetadata(true)
+  await transaction.wait()
+
+  console.log(`\n✅ On-chain metadata enabled on NFT contract ${nft.address}`)
+}
+
+// ========== SCRIPT EXECUTION ==========
+// Only run when executed directly so the helpers can be reused from tests
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('\n❌ Trait upload failed:')
+      console.error(error)
+      process.exit(1)
+    })
+}
+
+module.exports = { buildTraitTable }
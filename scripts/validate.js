@@ -0,0 +1,295 @@
+/**
+ * @title Metadata Validation Script
+ * @dev Checks the hand-made images/ and metadata/ folders before they're uploaded to IPFS
+ *
+ * How to run this script:
+ * 1. Against the localhost deployment: npx hardhat validate-metadata --network localhost
+ * 2. Before deploying (reads maxSupply from deploy-params/localhost.json): npx hardhat validate-metadata
+ * 3. With other folders or supply: npx hardhat validate-metadata --metadata <dir> --images <dir> --max-supply <n>
+ *
+ * Every N.json file is checked for:
+ * - The required fields: name, description, image, edition and attributes
+ * - An edition matching the number in the filename
+ * - An image that points at an existing file in images/, or at a valid IPFS CID
+ *   (for ipfs://<cid>/<file> the file must also exist in images/)
+ * - Attributes as a list of { trait_type, value } with no trait type repeated
+ * - A trait combination no other token has
+ *
+ * The collection as a whole must cover tokens 1..maxSupply with no gaps.
+ * Problems are reported per file and the task exits with code 1 if any are found.
+ */
+
+// Node.js modules for reading the folders and the deployed contract address
+const fs = require('fs')
+const path = require('path')
+
+const DEFAULT_METADATA_DIR = path.join(__dirname, '..', 'metadata')
+const DEFAULT_IMAGES_DIR = path.join(__dirname, '..', 'images')
+const PARAMS_DIR = path.join(__dirname, '..', 'deploy-params')
+const CONFIG_FILE = path.join(__dirname, '..', 'src', 'config.json')
+
+const REQUIRED_FIELDS = ['name', 'description', 'image', 'edition', 'attributes']
+
+// CIDv0 (base58btc, starts with Qm) or CIDv1 in the default base32 encoding (starts with b)
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})$/
+
+/**
+ * @dev Formats a directory for the report, relative to the working directory when it's inside it
+ * @param dir Absolute path to the directory
+ * @return The path to print
+ */
+function displayPath(dir) {
+  const relative = path.relative(process.cwd(), dir)
+  return relative.startsWith('..') ? dir : relative || '.'
+}
+
+/**
+ * @dev Checks that a metadata image points at something that exists
+ * @param image The metadata's image field
+ * @param imagesDir Directory the collection's images are uploaded from
+ * @return A description of the problem, or null when the image is fine
+ */
+function checkImage(image, imagesDir) {
+  if (image.startsWith('ipfs://')) {
+    // ipfs://<cid>/<path> or ipfs://ipfs/<cid>/<path>
+    const [cid, ...rest] = image.slice('ipfs://'.length).replace(/^ipfs\//, '').split('/')
+
+    if (!CID_PATTERN.test(cid)) {
+      return `image "${image}" doesn't contain a valid IPFS CID`
+    }
+
+    // The uploaded folder mirrors images/, so the file must be there too
+    const file = rest.join('/')
+    if (file && !fs.existsSync(path.join(imagesDir, file))) {
+      return `image "${image}" points at ${file}, which isn't in ${displayPath(imagesDir)}`
+    }
+
+    return null
+  }
+
+  if (CID_PATTERN.test(image)) return null
+
+  if (/^(https?|data):/.test(image)) {
+    return `image "${image}" must be an ipfs:// URI, a CID or a file in the images folder`
+  }
+
+  // A local path, relative to the images folder
+  if (!fs.existsSync(path.join(imagesDir, image))) {
+    return `image "${image}" doesn't exist in ${displayPath(imagesDir)}`
+  }
+
+  return null
+}
+
+/**
+ * @dev Checks a metadata document's fields
+ * @param metadata The parsed metadata
+ * @param tokenId The token ID from the filename
+ * @param imagesDir Directory the collection's images are uploaded from
+ * @return Array of problem descriptions, empty when the metadata is valid
+ */
+function checkMetadata(metadata, tokenId, imagesDir) {
+  if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return ['is not a JSON object']
+  }
+
+  const problems = REQUIRED_FIELDS
+    .filter(field => metadata[field] === undefined || metadata[field] === '')
+    .map(field => `missing required field "${field}"`)
+
+  if (metadata.name !== undefined && typeof metadata.name !== 'string') {
+    problems.push('name must be a string')
+  }
+
+  if (metadata.description !== undefined && typeof metadata.description !== 'string') {
+    problems.push('description must be a string')
+  }
+
+  if (metadata.edition !== undefined && metadata.edition !== tokenId) {
+    problems.push(`edition ${JSON.stringify(metadata.edition)} doesn't match the filename (expected ${tokenId})`)
+  }
+
+  if (typeof metadata.image === 'string' && metadata.image) {
+    const problem = checkImage(metadata.image, imagesDir)
+    if (problem) problems.push(problem)
+  } else if (metadata.image !== undefined) {
+    problems.push('image must be a string')
+  }
+
+  if (metadata.attributes !== undefined) {
+    if (!Array.isArray(metadata.attributes)) {
+      problems.push('attributes must be a list')
+    } else {
+      const seen = new Set()
+
+      metadata.attributes.forEach((attribute, i) => {
+        const { trait_type, value } = attribute || {}
+
+        if (typeof trait_type !== 'string' || !trait_type) {
+          problems.push(`attribute ${i + 1} has no trait_type`)
+        } else if (seen.has(trait_type)) {
+          problems.push(`trait type "${trait_type}" appears more than once`)
+        } else {
+          seen.add(trait_type)
+        }
+
+        if (typeof value !== 'string' && typeof value !== 'number') {
+          problems.push(`attribute ${i + 1} has no value`)
+        }
+      })
+    }
+  }
+
+  return problems
+}
+
+/**
+ * @dev Validates every metadata file and the collection against maxSupply
+ * @param options Object with the metadata and images directories and the contract's maxSupply
+ * @return Object with the counts and the problems found, as { file, message }
+ */
+function validateMetadata({ metadataDir = DEFAULT_METADATA_DIR, imagesDir = DEFAULT_IMAGES_DIR, maxSupply }) {
+  if (!fs.existsSync(metadataDir)) {
+    throw new Error(`Metadata folder not found: ${metadataDir}`)
+  }
+
+  const problems = []
+  const report = (file, message) => problems.push({ file, message })
+
+  // Numeric order, so the report lists 2.json before 10.json
+  const files = fs.readdirSync(metadataDir)
+    .filter(file => file.endsWith('.json'))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+  const tokenIds = []
+  const combinations = new Map() // Trait combination -> first file that has it
+
+  files.forEach(file => {
+    if (!/^[1-9]\d*\.json$/.test(file)) {
+      report(file, 'filename must be a token ID, e.g. 1.json')
+      return
+    }
+
+    const tokenId = parseInt(path.basename(file, '.json'))
+    tokenIds.push(tokenId)
+
+    let metadata
+    try {
+      metadata = JSON.parse(fs.readFileSync(path.join(metadataDir, file), 'utf8'))
+    } catch (error) {
+      report(file, `invalid JSON: ${error.message}`)
+      return
+    }
+
+    const fileProblems = checkMetadata(metadata, tokenId, imagesDir)
+    fileProblems.forEach(message => report(file, message))
+
+    // Only compare well-formed attributes, ignoring the order they're listed in
+    const { attributes } = metadata || {}
+    if (!Array.isArray(attributes) || !attributes.every(attribute => typeof attribute?.trait_type === 'string')) return
+
+    const combination = JSON.stringify(
+      attributes
+        .map(({ trait_type, value }) => [trait_type, String(value)])
+        .sort(([a], [b]) => a.localeCompare(b))
+    )
+
+    if (combinations.has(combination)) {
+      report(file, `has the same traits as ${combinations.get(combination)}`)
+    } else {
+      combinations.set(combination, file)
+    }
+  })
+
+  tokenIds.sort((a, b) => a - b)
+
+  // Every token that can be minted needs metadata, and nothing past maxSupply can be minted
+  const expected = maxSupply ?? tokenIds[tokenIds.length - 1] ?? 0
+  const missing = []
+  for (let tokenId = 1; tokenId <= expected; tokenId++) {
+    if (!tokenIds.includes(tokenId)) missing.push(tokenId)
+  }
+
+  if (missing.length > 0) {
+    report('collection', `no metadata for token${missing.length !== 1 ? 's' : ''} ${missing.join(', ')}`)
+  }
+
+  const extra = maxSupply === undefined ? [] : tokenIds.filter(tokenId => tokenId > maxSupply)
+  if (extra.length > 0) {
+    report('collection', `${extra.length} metadata file${extra.length !== 1 ? 's are' : ' is'} past maxSupply ${maxSupply} and can never be minted`)
+  }
+
+  const imageCount = fs.existsSync(imagesDir)
+    ? fs.readdirSync(imagesDir).filter(file => !file.startsWith('.')).length
+    : 0
+
+  return { metadataCount: tokenIds.length, imageCount, maxSupply, problems }
+}
+
+/**
+ * @dev Looks up maxSupply for the network: from the deployed contract, or from the
+ * deployment parameters on the in-process hardhat network where nothing is deployed
+ * @param hre Hardhat Runtime Environment
+ * @return Object with maxSupply and where it was read from
+ */
+async function getMaxSupply(hre) {
+  if (hre.network.name === 'hardhat') {
+    const file = path.join(PARAMS_DIR, 'localhost.json')
+    const { maxSupply } = JSON.parse(fs.readFileSync(file, 'utf8'))
+    return { maxSupply, source: path.relative(process.cwd(), file) }
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork()
+  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'))
+
+  if (!config[chainId]) {
+    throw new Error(`No NFT address configured for chainId ${chainId} in src/config.json`)
+  }
+
+  // getContractAt needs the compiled artifact
+  await hre.run('compile')
+
+  const nft = await hre.ethers.getContractAt('NFT', config[chainId].nft.address)
+  return { maxSupply: (await nft.maxSupply()).toNumber(), source: `NFT contract ${nft.address}` }
+}
+
+/**
+ * @dev Runs the validation and prints the report
+ * @param hre Hardhat Runtime Environment
+ * @param options Object with optional metadata/images directories and a maxSupply override
+ * @return True when no problems were found
+ */
+async function validate(hre, { metadata, images, maxSupply } = {}) {
+  const metadataDir = metadata ? path.resolve(metadata) : DEFAULT_METADATA_DIR
+  const imagesDir = images ? path.resolve(images) : DEFAULT_IMAGES_DIR
+
+  const supply = maxSupply !== undefined
+    ? { maxSupply, source: '--max-supply' }
+    : await getMaxSupply(hre)
+
+  const result = validateMetadata({ metadataDir, imagesDir, maxSupply: supply.maxSupply })
+
+  console.log(`📁 Metadata files: ${result.metadataCount} (${displayPath(metadataDir)})`)
+  console.log(`🖼  Image files:    ${result.imageCount} (${displayPath(imagesDir)})`)
+  console.log(`🔢 maxSupply:      ${result.maxSupply} (from ${supply.source})`)
+
+  if (result.problems.length === 0) {
+    console.log('\n✅ All metadata is valid')
+    return true
+  }
+
+  // Group the problems by file so each file is listed once
+  const byFile = new Map()
+  result.problems.forEach(({ file, message }) => {
+    byFile.set(file, [...(byFile.get(file) || []), message])
+  })
+
+  console.log(`\n❌ Found ${result.problems.length} problem${result.problems.length !== 1 ? 's' : ''} in ${byFile.size} file${byFile.size !== 1 ? 's' : ''}:\n`)
+  byFile.forEach((messages, file) => {
+    console.log(`  ${file}`)
+    messages.forEach(message => console.log(`    - ${message}`))
+  })
+
+  return false
+}
+
+module.exports = { validate, validateMetadata }
@@ -0,0 +1,200 @@
+/**
+ * @title Sign-In with Ethereum Verifier
+ * @dev Small Express server that signs Dapp Punk holders in with EIP-4361 messages
+ *
+ * How to run this server:
+ * 1. Start it next to the frontend: npm run server
+ * 2. The React dev server proxies /api to it (see "proxy" in package.json)
+ *
+ * Endpoints:
+ * - GET  /api/nonce   - a fresh nonce for the SIWE message, stored in the session for NONCE_TTL_MS
+ * - POST /api/verify  - { message, signature }: checks the signature, nonce, domain and chain, then starts a session
+ * - GET  /api/session - the signed-in address and whether it currently holds a Dapp Punk
+ * - GET  /api/perks   - holder-only content; 401 without a session, 403 without a Dapp Punk
+ * - POST /api/logout  - ends the session
+ *
+ * Holding is checked with balanceOf on every session and perks request rather than once at
+ * sign-in, so selling or transferring the last token revokes access straight away.
+ *
+ * Options (environment variables):
+ * - PORT: port to listen on (default 4000)
+ * - SIWE_DOMAIN: domain the SIWE message must be for (default localhost:3000, the dev server)
+ * - SESSION_SECRET: cookie signing secret (default: random, so sessions end when the server restarts)
+ */
+
+// Node.js modules for the default session secret and the perks file
+const crypto = require('crypto')
+const path = require('path')
+const fs = require('fs')
+
+// HTTP server, cookie sessions, SIWE message parsing/verification and contract reads
+const express = require('express')
+const session = require('express-session')
+const { SiweMessage, generateNonce } = require('siwe')
+const { ethers } = require('ethers')
+
+// Contract deployments per chainId and the contract ABI, shared with the frontend
+const config = require('../src/config.json')
+const NFT_ABI = require('../src/abis/NFT.json')
+
+const PERKS_FILE = path.join(__dirname, 'perks.json')
+
+// How long a nonce can be used to sign in after it was issued
+const NONCE_TTL_MS = 5 * 60 * 1000
+
+/**
+ * @dev Returns a read-only NFT contract for a chain in src/config.json
+ * @param chainId The chain ID
+ * @return The contract, or null when the chain has no deployment
+ */
+function getContract(chainId) {
+  const network = config[chainId]
+  if (!network || !network.nft || !network.nft.address) return null
+
+  const provider = new ethers.providers.JsonRpcProvider(network.rpcUrl, Number(chainId))
+  return new ethers.Contract(network.nft.address, NFT_ABI, provider)
+}
+
+/**
+ * @dev Checks whether an address holds at least one Dapp Punk
+ * @param nft The NFT contract for the session's chain, or null when it has no deployment
+ * @param address The signed-in address
+ * @return True when balanceOf(address) > 0
+ */
+async function isHolder(nft, address) {
+  if (!nft) return false
+
+  return (await nft.balanceOf(address)).gt(0)
+}
+
+/**
+ * @dev Builds the Express app
+ * @param options Object with the expected SIWE domain, the session secret, how long nonces last
+ * and the chainId -> contract lookup (src/config.json by default, replaced in tests)
+ * @return The Express app
+ */
+function createApp({
+  domain = process.env.SIWE_DOMAIN || 'localhost:3000',
+  secret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+  nonceTtlMs = NONCE_TTL_MS,
+  contractFor = getContract
+} = {}) {
+  const app = express()
+
+  app.use(express.json())
+  app.use(session({
+    name: 'dapp-punks.sid',
+    secret,
+    resave: false,
+    saveUninitialized: false,
+    cookie: { httpOnly: true, sameSite: 'lax' }
+  }))
+
+  // A new nonce per sign-in attempt - it's single use, so replaying a signed message fails
+  app.get('/api/nonce', (req, res) => {
+    req.session.nonce = generateNonce()
+    req.session.nonceIssuedAt = Date.now()
+    res.json({ nonce: req.session.nonce })
+  })
+
+  app.post('/api/verify', async (req, res) => {
+    const { message, signature } = req.body || {}
+    const { nonce, nonceIssuedAt } = req.session
+
+    if (!message || !signature) {
+      return res.status(400).json({ error: 'Expected a SIWE message and signature' })
+    }
+
+    if (!nonce) {
+      return res.status(422).json({ error: 'Request a nonce first' })
+    }
+
+    // Used up whether or not the signature checks out
+    delete req.session.nonce
+    delete req.session.nonceIssuedAt
+
+    if (Date.now() - nonceIssuedAt > nonceTtlMs) {
+      return res.status(422).json({ error: 'Nonce expired - request a new one' })
+    }
+
+    let fields
+    try {
+      const siweMessage = new SiweMessage(message)
+      const result = await siweMessage.verify({ signature, nonce, domain })
+      fields = result.data
+    } catch (error) {
+      // siwe rejects with a SiweResponse whose error describes what didn't match
+      const reason = error.error?.type || error.message || 'Invalid signature'
+      return res.status(401).json({ error: `Sign-in failed: ${reason}` })
+    }
+
+    const nft = contractFor(fields.chainId)
+    if (!nft) {
+      return res.status(422).json({ error: `Dapp Punks isn't deployed on chain ${fields.chainId}` })
+    }
+
+    let holder
+    try {
+      holder = await isHolder(nft, fields.address)
+    } catch (error) {
+      console.error('Holder check failed:', error)
+      return res.status(502).json({ error: 'Unable to reach the network to check holdings' })
+    }
+
+    // Only a sign-in that completed starts a session
+    req.session.siwe = { address: fields.address, chainId: fields.chainId }
+    res.json({ ...req.session.siwe, isHolder: holder })
+  })
+
+  app.get('/api/session', async (req, res) => {
+    if (!req.session.siwe) {
+      return res.json({ address: null })
+    }
+
+    const { address, chainId } = req.session.siwe
+
+    try {
+      res.json({ address, chainId, isHolder: await isHolder(contractFor(chainId), address) })
+    } catch (error) {
+      console.error('Holder check failed:', error)
+      res.status(502).json({ error: 'Unable to reach the network to check holdings' })
+    }
+  })
+
+  // Holder-only content, re-checked on every request
+  app.get('/api/perks', async (req, res) => {
+    if (!req.session.siwe) {
+      return res.status(401).json({ error: 'Sign in with Ethereum first' })
+    }
+
+    const { address, chainId } = req.session.siwe
+
+    try {
+      if (!(await isHolder(contractFor(chainId), address))) {
+        return res.status(403).json({ error: 'This content is for Dapp Punk holders only' })
+      }
+    } catch (error) {
+      console.error('Holder check failed:', error)
+      return res.status(502).json({ error: 'Unable to reach the network to check holdings' })
+    }
+
+    res.json(JSON.parse(fs.readFileSync(PERKS_FILE, 'utf8')))
+  })
+
+  app.post('/api/logout', (req, res) => {
+    req.session.destroy(() => res.json({ address: null }))
+  })
+
+  return app
+}
+
+// ========== SERVER STARTUP ==========
+if (require.main === module) {
+  const port = process.env.PORT || 4000
+
+  createApp().listen(port, () => {
+    console.log(`🔐 SIWE verifier listening on http://localhost:${port}`)
+  })
+}
+
+module.exports = { createApp, isHolder }
@@ -0,0 +1,246 @@
+/**
+ * @title Activity Component - Recent mints and transfers
+ * @dev Feed of the collection's history, backfilled from contract logs and kept live with event listeners
+ *
+ * Features:
+ * - Backfills every Mint/Transfer log since the deployment block, a block range at a time
+ * - Adds new mints and transfers as they happen
+ * - "My history" filter for the connected wallet
+ * - CSV export of the full mint history, including the ETH paid for each mint
+ *
+ * Props:
+ * @param nft - NFT contract instance
+ * @param account - Currently connected wallet address (optional, enables "My history")
+ * @param deploymentBlock - Block the contract was deployed in, where the backfill starts
+ * @param explorerUrl - Block explorer base URL for transaction links ('' for none)
+ */
+
+// React hooks for state management and side effects
+import { useEffect, useMemo, useRef, useState } from 'react'
+
+// Bootstrap components for the feed UI
+import { Form, Button, ListGroup, Spinner } from 'react-bootstrap'
+
+// Activity grouping and CSV export
+import { buildActivity, eventKey, mintsToCSV, queryFilterInRanges } from '../utils/activity'
+
+// Number of entries shown before "Show more"
+const PAGE_SIZE = 10
+
+/**
+ * @dev Shortens an address for display
+ * @param address The address to shorten
+ * @return The first 6 and last 4 characters
+ */
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`
+
+/**
+ * @dev Activity component that renders the mint/transfer feed
+ * @param props Object containing the contract, connected account, deployment block and explorer URL
+ * @return JSX element representing the activity feed
+ */
+const Activity = ({ nft, account, deploymentBlock, explorerUrl }) => {
+  // Raw logs; the feed entries are derived from these
+  const [mintEvents, setMintEvents] = useState([])
+  const [transferEvents, setTransferEvents] = useState([])
+  const [isLoaded, setIsLoaded] = useState(false)
+
+  // Block timestamps (seconds) keyed by block number, loaded as entries appear
+  const [blockTimes, setBlockTimes] = useState({})
+  const requestedBlocks = useRef(new Set())
+
+  const [onlyMine, setOnlyMine] = useState(false)
+  const [limit, setLimit] = useState(PAGE_SIZE)
+  const [isExporting, setIsExporting] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Backfill from the deployment block, then follow new logs
+  useEffect(() => {
+    if (!nft) return
+
+    let cancelled = false
+    const seen = new Set()
+
+    // Appends a log unless it was already delivered by the backfill or an earlier event
+    const addEvent = (setEvents) => (...args) => {
+      const event = args[args.length - 1]
+      if (seen.has(eventKey(event))) return
+      seen.add(eventKey(event))
+      setEvents(current => [...current, event])
+    }
+
+    const handleMint = addEvent(setMintEvents)
+    const handleTransfer = addEvent(setTransferEvents)
+
+    const loadHistory = async () => {
+      try {
+        const mints = await queryFilterInRanges(nft, nft.filters.Mint(), deploymentBlock)
+        const transfers = await queryFilterInRanges(nft, nft.filters.Transfer(), deploymentBlock)
+        if (cancelled) return
+
+        // Skip logs a listener already delivered while the backfill was running
+        const unseen = (events) => events.filter(event => {
+          if (seen.has(eventKey(event))) return false
+          seen.add(eventKey(event))
+          return true
+        })
+
+        const newMints = unseen(mints)
+        const newTransfers = unseen(transfers)
+        setMintEvents(current => [...newMints, ...current])
+        setTransferEvents(current => [...newTransfers, ...current])
+        setIsLoaded(true)
+      } catch (error) {
+        console.error('Error loading activity:', error)
+        if (!cancelled) setError('Unable to load activity')
+      }
+    }
+
+    // Subscribe first so nothing mined during the backfill is missed
+    nft.on('Mint', handleMint)
+    nft.on('Transfer', handleTransfer)
+    loadHistory()
+
+    return () => {
+      cancelled = true
+      nft.off('Mint', handleMint)
+      nft.off('Transfer', handleTransfer)
+    }
+  }, [nft, deploymentBlock])
+
+  const activity = useMemo(
+    () => buildActivity(mintEvents, transferEvents),
+    [mintEvents, transferEvents]
+  )
+
+  const visibleActivity = useMemo(() => (
+    onlyMine && account
+      ? activity.filter(entry => entry.from === account || entry.to === account)
+      : activity
+  ), [activity, onlyMine, account])
+
+  const shownActivity = useMemo(() => visibleActivity.slice(0, limit), [visibleActivity, limit])
+
+  // Look up the time of each block shown, once per block
+  useEffect(() => {
+    if (!nft) return
+
+    shownActivity.forEach(async ({ blockNumber }) => {
+      if (requestedBlocks.current.has(blockNumber)) return
+      requestedBlocks.current.add(blockNumber)
+
+      try {
+        const block = await nft.provider.getBlock(blockNumber)
+        setBlockTimes(current => ({ ...current, [blockNumber]: block.timestamp }))
+      } catch (error) {
+        console.error(`Error loading block ${blockNumber}:`, error)
+        requestedBlocks.current.delete(blockNumber)
+      }
+    })
+  }, [nft, shownActivity])
+
+  // Downloads every mint with its date and the ETH paid
+  const exportHandler = async () => {
+    setIsExporting(true)
+
+    try {
+      const mints = activity.filter(entry => entry.type === 'mint')
+
+      const blocks = await Promise.all(
+        [...new Set(mints.map(mint => mint.blockNumber))].map(blockNumber => nft.provider.getBlock(blockNumber))
+      )
+      const times = Object.fromEntries(blocks.map(block => [block.number, block.timestamp]))
+
+      const transactions = await Promise.all(mints.map(mint => nft.provider.getTransaction(mint.transactionHash)))
+      const values = Object.fromEntries(transactions.map(tx => [tx.hash, tx.value]))
+
+      const blob = new Blob([mintsToCSV(mints, times, values)], { type: 'text/csv' })
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `mint-history-${nft.address}.csv`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error exporting mint history:', error)
+      setError('Unable to export the mint history')
+    }
+
+    setIsExporting(false)
+  }
+
+  // Renders an address, marking the connected account
+  const addressLabel = (address) => address === account ? 'You' : shortAddress(address)
+
+  return (
+    <div className='my-4'>
+      <div className='d-flex justify-content-between align-items-center mb-2'>
+        <h5 className='mb-0'>Activity</h5>
+        <Button
+          variant='outline-secondary'
+          size='sm'
+          disabled={!isLoaded || isExporting}
+          onClick={exportHandler}
+        >
+          {isExporting ? 'Exporting...' : 'Export Mints (CSV)'}
+        </Button>
+      </div>
+
+      {account && (
+        <Form.Check
+          type='switch'
+          id='activity-only-mine'
+          label='My history'
+          className='mb-2'
+          checked={onlyMine}
+          onChange={(e) => { setOnlyMine(e.target.checked); setLimit(PAGE_SIZE) }}
+        />
+      )}
+
+      {error && <p className='text-danger'>{error}</p>}
+
+      {!isLoaded && !error ? (
+        <div className='text-center'><Spinner animation='border' size='sm' /></div>
+      ) : shownActivity.length === 0 ? (
+        <p className='text-muted'>No activity yet</p>
+      ) : (
+        <ListGroup>
+          {shownActivity.map(entry => (
+            <ListGroup.Item key={eventKey(entry)}>
+              <div className='d-flex justify-content-between'>
+                <span>
+                  {entry.type === 'mint'
+                    ? <><strong>{addressLabel(entry.to)}</strong> minted {entry.amount}</>
+                    : <><strong>{addressLabel(entry.from)}</strong> sent to <strong>{addressLabel(entry.to)}</strong></>}
+                </span>
+                <small className='text-muted'>
+                  {blockTimes[entry.blockNumber] ? new Date(blockTimes[entry.blockNumber] * 1000).toLocaleString() : '...'}
+                </small>
+              </div>
+              <small className='text-muted'>
+                #{entry.tokenIds.join(', #')} ·{' '}
+                {explorerUrl ? (
+                  <a href={`${explorerUrl}/tx/${entry.transactionHash}`} target='_blank' rel='noopener noreferrer'>
+                    {shortAddress(entry.transactionHash)}
+                  </a>
+                ) : (
+                  <span title={entry.transactionHash}>{shortAddress(entry.transactionHash)}</span>
+                )}
+              </small>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+
+      {visibleActivity.length > limit && (
+        <div className='text-center mt-2'>
+          <Button variant='link' size='sm' onClick={() => setLimit(limit + PAGE_SIZE)}>
+            Show more
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Activity;
@@ -0,0 +1,460 @@
+/**
+ * @title Admin Component - Owner-only contract operations
+ * @dev Dashboard for the contract owner; App only renders it when the connected account is nft.owner()
+ *
+ * Features:
+ * - Contract ETH balance and total revenue from Mint events, kept live by Mint/Withdraw/PaymentReleased events
+ * - Payment splitter payees with their shares, paid and due amounts, paid out all at once or one by one
+ * - Withdraw and every onlyOwner setter, each behind a confirmation dialog
+ * - EIP-2981 royalty receiver and rate, entered as a percentage up to the contract's cap
+ * - Switch between base URI and fully on-chain metadata
+ * - Transaction status notifications for each action
+ *
+ * Props:
+ * @param provider - Ethers.js provider for blockchain connection
+ * @param nft - NFT contract instance
+ * @param deploymentBlock - Block the contract was deployed in, where event lookups start
+ * @param onUpdate - Called after a successful action so the rest of the app reloads contract data
+ */
+
+// React hooks for state management and side effects
+import { useCallback, useEffect, useState } from 'react';
+
+// Bootstrap components for the dashboard UI
+import { Row, Col, Card, Form, Button, Modal, Alert, InputGroup, Table } from 'react-bootstrap';
+
+// Ethers.js utilities for ETH formatting and parsing
+import { ethers } from 'ethers'
+
+// Allowlist root generated by scripts/allowlist.js, suggested for setMerkleRoot
+import allowlist from '../allowlist.json'
+
+// Toasts for transaction status
+import { useNotifications } from './Notifications'
+
+// Reads the Mint logs a block range at a time
+import { queryFilterInRanges } from '../utils/activity'
+
+/**
+ * @dev Formats a value read from the contract for display
+ * @param type The setter's input type
+ * @param value The value read from the contract
+ * @return A human-readable string
+ */
+const formatValue = (type, value) => {
+  if (type === 'eth') return `${ethers.utils.formatEther(value)} ETH`
+  if (type === 'datetime') {
+    return value.isZero() ? 'Not set' : new Date(value.toNumber() * 1000).toLocaleString()
+  }
+  return value.toString()
+}
+
+/**
+ * @dev Converts form input into the contract argument for a setter
+ * @param type The setter's input type
+ * @param input The raw form input
+ * @return The contract argument
+ */
+const parseInput = (type, input) => {
+  if (type === 'eth') return ethers.utils.parseEther(input)
+  if (type === 'number') {
+    if (!/^\d+$/.test(input)) throw new Error('Enter a whole number')
+    return ethers.BigNumber.from(input)
+  }
+  if (type === 'datetime') {
+    const timestamp = Math.floor(new Date(input).getTime() / 1000)
+    if (isNaN(timestamp)) throw new Error('Enter a valid date')
+    return timestamp
+  }
+  return input
+}
+
+// Owner setters shown in the panel: getter to read, setter to call, and how to read/parse the value
+const SETTERS = [
+  { method: 'setCost', getter: 'cost', label: 'Mint Cost', type: 'eth' },
+  { method: 'setAllowMintingOn', getter: 'allowMintingOn', label: 'Public Mint Date', type: 'datetime' },
+  { method: 'setMaxMintAmount', getter: 'maxMintAmount', label: 'Max Mint Per Transaction', type: 'number' },
+  { method: 'setMaxPerWallet', getter: 'maxPerWallet', label: 'Max Mint Per Wallet', type: 'number' },
+  { method: 'setPresaleCost', getter: 'presaleCost', label: 'Presale Cost', type: 'eth' },
+  { method: 'setPresaleMaxPerWallet', getter: 'presaleMaxPerWallet', label: 'Presale Max Per Wallet', type: 'number' },
+  { method: 'setAllowPresaleMintingOn', getter: 'allowPresaleMintingOn', label: 'Presale Start', type: 'datetime' },
+  { method: 'setMerkleRoot', getter: 'merkleRoot', label: 'Allowlist Merkle Root', type: 'text', suggestion: allowlist.root },
+  { method: 'setBaseURI', getter: 'baseURI', label: 'Base URI', type: 'text' },
+  { method: 'setBaseExtension', getter: 'baseExtension', label: 'Base Extension', type: 'text' }
+]
+
+/**
+ * @dev Admin component that renders the owner dashboard
+ * @param props Object containing the provider, contract, deployment block and update callback
+ * @return JSX element representing the admin panel
+ */
+const Admin = ({ provider, nft, deploymentBlock, onUpdate }) => {
+  const { trackTransaction } = useNotifications()
+
+  // Current on-chain values keyed by getter name
+  const [values, setValues] = useState({})
+  const [contractBalance, setContractBalance] = useState(null)
+  const [revenue, setRevenue] = useState(null)
+  const [mintedCount, setMintedCount] = useState(null)
+  const [revenueError, setRevenueError] = useState(null)  // Why the revenue couldn't be read from the Mint logs
+  const [payees, setPayees] = useState([])  // [{ address, shares, released, releasable }]
+
+  // Form inputs keyed by setter method
+  const [inputs, setInputs] = useState({})
+
+  // Action waiting for confirmation: { label, method, args }
+  const [pendingAction, setPendingAction] = useState(null)
+
+  // Input validation error: { variant, message }
+  const [status, setStatus] = useState(null)
+  const [isWaiting, setIsWaiting] = useState(false)
+
+  // Reads the balance, revenue and every setter's current value
+  const loadAdminData = useCallback(async () => {
+    try {
+      const getters = [...SETTERS.map(setter => setter.getter), 'revealed', 'paused', 'onChainMetadata', 'royaltyReceiver', 'royaltyBps', 'MAX_ROYALTY_BPS']
+      const results = await Promise.all(getters.map(getter => nft[getter]()))
+      setValues(Object.fromEntries(getters.map((getter, i) => [getter, results[i]])))
+
+      setContractBalance(await provider.getBalance(nft.address))
+
+      // Payees are fixed at deployment; what they've been paid and are due changes with every mint and payout
+      const payeeCount = (await nft.payeeCount()).toNumber()
+      const addresses = await Promise.all([...Array(payeeCount).keys()].map(i => nft.payees(i)))
+      setPayees(await Promise.all(addresses.map(async (address) => {
+        const [shares, released, releasable] = await Promise.all([
+          nft.shares(address),
+          nft.released(address),
+          nft.releasable(address)
+        ])
+        return { address, shares, released, releasable }
+      })))
+
+    } catch (error) {
+      console.error('Error loading admin data:', error)
+    }
+
+    // Revenue is the ETH sent with every transaction that emitted Mint
+    // Read separately so a missing deploymentBlock or a failing log query shows up without hiding the settings
+    try {
+      const mintEvents = await queryFilterInRanges(nft, nft.filters.Mint(), deploymentBlock)
+      const hashes = [...new Set(mintEvents.map(event => event.transactionHash))]
+      const transactions = await Promise.all(hashes.map(hash => provider.getTransaction(hash)))
+
+      setRevenue(transactions.reduce((total, tx) => total.add(tx.value), ethers.BigNumber.from(0)))
+      setMintedCount(mintEvents.reduce((total, event) => total + event.args.amount.toNumber(), 0))
+      setRevenueError(null)
+    } catch (error) {
+      console.error('Error loading revenue:', error)
+      setRevenueError(error.message)
+    }
+  }, [provider, nft, deploymentBlock])
+
+  useEffect(() => {
+    loadAdminData()
+  }, [loadAdminData])
+
+  // Mints add to the balance and revenue, payouts empty it - reload on any of them
+  useEffect(() => {
+    nft.on('Mint', loadAdminData)
+    nft.on('Withdraw', loadAdminData)
+    nft.on('PaymentReleased', loadAdminData)
+
+    return () => {
+      nft.off('Mint', loadAdminData)
+      nft.off('Withdraw', loadAdminData)
+      nft.off('PaymentReleased', loadAdminData)
+    }
+  }, [nft, loadAdminData])
+
+  // withdraw() skips payees that reject the ETH - say so, since their share stays in the contract
+  useEffect(() => {
+    const handlePaymentFailed = (to, amount) => {
+      setStatus({
+        variant: 'warning',
+        message: `${to} rejected its ${ethers.utils.formatEther(amount)} ETH payout. The other payees were paid; this share stays due until the payee can receive ETH.`
+      })
+    }
+
+    nft.on('PaymentFailed', handlePaymentFailed)
+
+    return () => {
+      nft.off('PaymentFailed', handlePaymentFailed)
+    }
+  }, [nft])
+
+  // Validates an action's input, then asks for confirmation
+  const requestAction = (label, method, args = []) => {
+    setStatus(null)
+    setPendingAction({ label, method, args })
+  }
+
+  const requestSetter = (setter) => {
+    try {
+      const input = (inputs[setter.method] ?? '').trim()
+      if (input === '') throw new Error('Enter a value')
+
+      const arg = parseInput(setter.type, input)
+      requestAction(`Set ${setter.label} to ${input}`, setter.method, [arg])
+    } catch (error) {
+      setStatus({ variant: 'danger', message: `${setter.label}: ${error.reason || error.message}` })
+    }
+  }
+
+  // Royalty is set as a receiver plus a percentage, converted to basis points for setRoyaltyInfo
+  const requestRoyalty = () => {
+    try {
+      const receiver = (inputs.royaltyReceiver ?? '').trim() || values.royaltyReceiver
+      const percent = (inputs.royaltyPercent ?? '').trim()
+
+      if (!ethers.utils.isAddress(receiver)) throw new Error('Enter a valid receiver address')
+      if (!/^\d+(\.\d{1,2})?$/.test(percent)) throw new Error('Enter a percentage with up to 2 decimals')
+
+      const bps = Math.round(Number(percent) * 100)
+      if (bps > values.MAX_ROYALTY_BPS.toNumber()) {
+        throw new Error(`The maximum is ${values.MAX_ROYALTY_BPS.toNumber() / 100}%`)
+      }
+
+      requestAction(`Set Royalty to ${bps / 100}% paid to ${receiver}`, 'setRoyaltyInfo', [receiver, bps])
+    } catch (error) {
+      setStatus({ variant: 'danger', message: `Royalty: ${error.message}` })
+    }
+  }
+
+  // Sends the confirmed action; the notification tracks its status
+  const confirmAction = async () => {
+    const { label, method, args } = pendingAction
+    setPendingAction(null)
+    setIsWaiting(true)
+
+    const signer = await provider.getSigner()
+    const receipt = await trackTransaction(label, () => nft.connect(signer)[method](...args))
+
+    if (receipt) {
+      setInputs({})
+      await loadAdminData()
+      onUpdate()
+    }
+
+    setIsWaiting(false)
+  }
+
+  const totalShares = payees.reduce((total, payee) => total + payee.shares.toNumber(), 0)
+
+  // withdraw() pays each payee what they're due - rounding dust, and the share of any payee that rejects ETH, stays behind
+  const duePayees = payees.filter(payee => !payee.releasable.isZero())
+  const totalReleasable = duePayees.reduce((total, payee) => total.add(payee.releasable), ethers.constants.Zero)
+
+  return (
+    <div className='my-4'>
+      <h4 className='text-center mb-4'>Admin</h4>
+
+      {status && (
+        <Alert variant={status.variant} className='text-break'>
+          {status.message}
+        </Alert>
+      )}
+
+      {revenueError && (
+        <Alert variant='danger' className='text-break'>
+          Unable to read the revenue from the Mint events: {revenueError}
+        </Alert>
+      )}
+
+      <Row className='mb-4 g-3'>
+        <Col md={4}>
+          <Card body className='text-center'>
+            <small className='text-muted'>Contract Balance</small>
+            <h5 className='mb-0'>{contractBalance ? `${ethers.utils.formatEther(contractBalance)} ETH` : '...'}</h5>
+          </Card>
+        </Col>
+        <Col md={4}>
+          <Card body className='text-center'>
+            <small className='text-muted'>Total Revenue</small>
+            <h5 className='mb-0'>{revenue ? `${ethers.utils.formatEther(revenue)} ETH` : '...'}</h5>
+          </Card>
+        </Col>
+        <Col md={4}>
+          <Card body className='text-center'>
+            <small className='text-muted'>Minted (from Mint events)</small>
+            <h5 className='mb-0'>{mintedCount ?? '...'}</h5>
+          </Card>
+        </Col>
+      </Row>
+
+      <div className='text-center mb-4'>
+        <Button
+          variant='success'
+          disabled={isWaiting || totalReleasable.isZero()}
+          onClick={() => requestAction(`Pay out ${ethers.utils.formatEther(totalReleasable)} ETH to ${duePayees.length} payee${duePayees.length !== 1 ? 's' : ''}`, 'withdraw')}
+        >
+          Pay Out to Payees
+        </Button>
+        {values.paused !== undefined && (
+          <Button
+            variant={values.paused ? 'primary' : 'danger'}
+            className='ms-2'
+            disabled={isWaiting}
+            onClick={() => values.paused
+              ? requestAction('Resume minting', 'setPaused', [false])
+              : requestAction('Pause all minting', 'setPaused', [true])}
+          >
+            {values.paused ? 'Resume Minting' : 'Pause Minting'}
+          </Button>
+        )}
+        {values.onChainMetadata !== undefined && (
+          <Button
+            variant='outline-secondary'
+            className='ms-2'
+            disabled={isWaiting}
+            onClick={() => values.onChainMetadata
+              ? requestAction('Serve metadata from the base URI again', 'setOnChainMetadata', [false])
+              : requestAction('Serve on-chain metadata (upload traits first with scripts/traits.js)', 'setOnChainMetadata', [true])}
+          >
+            {values.onChainMetadata ? 'Use Base URI Metadata' : 'Use On-Chain Metadata'}
+          </Button>
+        )}
+      </div>
+
+      {payees.length > 0 && (
+        <Table striped bordered size='sm' className='mb-4 text-center'>
+          <thead>
+            <tr>
+              <th>Payee</th>
+              <th>Shares</th>
+              <th>Paid</th>
+              <th>Due</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {payees.map(payee => (
+              <tr key={payee.address}>
+                <td className='text-break'><small>{payee.address}</small></td>
+                <td>{payee.shares.toString()} ({(payee.shares.toNumber() / totalShares * 100).toFixed(2)}%)</td>
+                <td>{ethers.utils.formatEther(payee.released)} ETH</td>
+                <td>{ethers.utils.formatEther(payee.releasable)} ETH</td>
+                <td>
+                  <Button
+                    variant='outline-success'
+                    size='sm'
+                    disabled={isWaiting || payee.releasable.isZero()}
+                    onClick={() => requestAction(`Release ${ethers.utils.formatEther(payee.releasable)} ETH to ${payee.address}`, 'release', [payee.address])}
+                  >
+                    Release
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+
+      {SETTERS.map(setter => (
+        <Form.Group as={Row} key={setter.method} className='mb-3 align-items-center'>
+          <Form.Label column md={4}>
+            {setter.label}
+            <div>
+              <small className='text-muted text-break'>
+                Current: {values[setter.getter] !== undefined ? formatValue(setter.type, values[setter.getter]) : '...'}
+              </small>
+            </div>
+          </Form.Label>
+          <Col md={8}>
+            <InputGroup>
+              <Form.Control
+                type={setter.type === 'datetime' ? 'datetime-local' : 'text'}
+                placeholder={setter.suggestion || (setter.type === 'eth' ? 'Amount in ETH' : '')}
+                value={inputs[setter.method] ?? ''}
+                onChange={(e) => setInputs({ ...inputs, [setter.method]: e.target.value })}
+              />
+              {setter.suggestion && (
+                <Button
+                  variant='outline-secondary'
+                  onClick={() => setInputs({ ...inputs, [setter.method]: setter.suggestion })}
+                >
+                  Use generated
+                </Button>
+              )}
+              <Button variant='outline-primary' disabled={isWaiting} onClick={() => requestSetter(setter)}>
+                Update
+              </Button>
+            </InputGroup>
+          </Col>
+        </Form.Group>
+      ))}
+
+      {values.royaltyBps !== undefined && (
+        <Form.Group as={Row} className='mb-3 align-items-center'>
+          <Form.Label column md={4}>
+            Royalty (EIP-2981)
+            <div>
+              <small className='text-muted text-break'>
+                Current: {values.royaltyBps.toNumber() / 100}% to {values.royaltyReceiver}
+              </small>
+            </div>
+          </Form.Label>
+          <Col md={8}>
+            <InputGroup>
+              <Form.Control
+                type='text'
+                placeholder='Receiver (current if empty)'
+                value={inputs.royaltyReceiver ?? ''}
+                onChange={(e) => setInputs({ ...inputs, royaltyReceiver: e.target.value })}
+              />
+              <Form.Control
+                type='text'
+                placeholder={`% (max ${values.MAX_ROYALTY_BPS.toNumber() / 100})`}
+                value={inputs.royaltyPercent ?? ''}
+                onChange={(e) => setInputs({ ...inputs, royaltyPercent: e.target.value })}
+                style={{ maxWidth: '8rem' }}
+              />
+              <Button variant='outline-primary' disabled={isWaiting} onClick={requestRoyalty}>
+                Update
+              </Button>
+            </InputGroup>
+          </Col>
+        </Form.Group>
+      )}
+
+      {values.revealed === false && (
+        <Form.Group as={Row} className='mb-3 align-items-center'>
+          <Form.Label column md={4}>
+            Reveal Collection
+            <div><small className='text-muted'>Sets the final base URI - can only be done once</small></div>
+          </Form.Label>
+          <Col md={8}>
+            <InputGroup>
+              <Form.Control
+                type='text'
+                placeholder='ipfs://<cid>/'
+                value={inputs.reveal ?? ''}
+                onChange={(e) => setInputs({ ...inputs, reveal: e.target.value })}
+              />
+              <Button
+                variant='outline-danger'
+                disabled={isWaiting || !(inputs.reveal ?? '').trim()}
+                onClick={() => requestAction(`Reveal with ${inputs.reveal.trim()}`, 'reveal', [inputs.reveal.trim()])}
+              >
+                Reveal
+              </Button>
+            </InputGroup>
+          </Col>
+        </Form.Group>
+      )}
+
+      <Modal show={pendingAction !== null} onHide={() => setPendingAction(null)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Confirm Action</Modal.Title>
+        </Modal.Header>
+        <Modal.Body className='text-break'>{pendingAction?.label}?</Modal.Body>
+        <Modal.Footer>
+          <Button variant='secondary' onClick={() => setPendingAction(null)}>Cancel</Button>
+          <Button variant='primary' onClick={confirmAction}>Confirm</Button>
+        </Modal.Footer>
+      </Modal>
+    </div>
+  )
+}
+
+export default Admin;
@@ -3,8 +3,23 @@
  * @dev This is the root component of the Dapp Punks NFT application
  *
  * Key Features:
- * - Automatic MetaMask wallet connection and account switching detection
- * - Real-time NFT collection display for connected wallet
+ * - Wallet selection from every EIP-6963 injected wallet plus WalletConnect, reconnecting the
+ *   last wallet used, with account switching detection and a Disconnect action
+ * - Read-only browsing (supply, price, countdown, collection) through config.json's rpcUrl
+ *   when no wallet is installed or connected
+ * - Picks the contract for the wallet's chainId from config.json, with a wrong network banner
+ * - Real-time NFT collection display for connected wallet, rendered from on-chain tokenURI metadata
+ * - Placeholder art until the collection is revealed, swapped live on the Reveal event
+ * - Metadata reloaded live when the owner switches between base URI and on-chain metadata
+ * - Collection explorer for browsing every minted punk, with or without a wallet
+ * - Send owned NFTs to another address, with the grid kept in sync by Transfer events
+ * - Admin panel for owner-only operations, shown only to the contract owner
+ * - Sale state (upcoming, presale, live, paused, sold out) drives the countdown, progress bar
+ *   and mint form, switching automatically when the countdown completes
+ * - Countdown and mint button follow mint date changes and the pause switch live
+ * - Supply and owned NFTs update live from Mint/Transfer events, with periodic polling as a fallback
+ * - Activity feed of recent mints and transfers with CSV export of the mint history
+ * - Sign-In with Ethereum against server/index.js, unlocking the holder-only Perks view
  * - Smart contract interaction for minting and data retrieval
  * - Responsive UI with loading states and error handling
  *
@@ -15,14 +30,11 @@
  */
 
 // React hooks for state management and side effects
-import { useEffect, useState } from 'react'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 
 // Bootstrap components for responsive UI layout
 import { Container, Row, Col } from 'react-bootstrap'
 
-// Third-party component for countdown timer display
-import Countdown from 'react-countdown'
-
 // Ethers.js library for Ethereum blockchain interaction
 import { ethers } from 'ethers'
 
@@ -34,13 +46,58 @@ import Navigation from './Navigation';  // Top navigation bar with wallet connec
 import Data from './Data';             // Displays contract data (supply, cost, etc.)
 import Mint from './Mint';             // NFT minting interface
 import Loading from './Loading';       // Loading spinner component
+import NFTCard from './NFTCard';       // Single NFT card rendered from metadata
+import TokenDetail from './TokenDetail'; // NFT detail modal with traits and rarity
+import Explorer from './Explorer';     // Whole-collection explorer with trait filters
+import TransferModal from './TransferModal'; // Send an NFT to another address
+import NetworkBanner from './NetworkBanner'; // Wrong network warning with switch buttons
+import Admin from './Admin';           // Owner-only contract operations
+import Activity from './Activity';     // Recent mints and transfers feed
+import { useNotifications } from './Notifications'; // Toasts for messages and transactions
+import SaleStatus from './SaleStatus'; // Countdown, progress bar or sold out message
+import WalletModal from './WalletModal'; // Wallet selection
+import Perks from './Perks';           // Holder-only perks behind Sign-In with Ethereum
+
+// Loads token metadata through tokenURI with IPFS gateway fallback
+import { loadTokenMetadata } from '../utils/metadata'
+
+// Event log keys, so a log delivered twice is only applied once
+import { eventKey } from '../utils/activity'
+
+// Sale state derived from the schedule, supply and pause flag
+import { getSaleState, getNextTransition, isPresaleWindow, MAX_TIMEOUT } from '../utils/sale'
 
 // Smart contract Application Binary Interface (ABI)
 // This defines how to interact with the deployed NFT contract
 import NFT_ABI from '../abis/NFT.json'
 
-// Network configuration containing contract addresses for different networks
-import config from '../config.json';
+// Network lookups - contract addresses per chainId come from config.json
+import { getNetworkConfig, getReadOnlyProvider, DEFAULT_CHAIN_ID } from '../utils/networks'
+
+// Wallet discovery, connection and the remembered last wallet
+import {
+  discoverInjectedWallets,
+  getLegacyInjectedWallet,
+  enableWallet,
+  disconnectWallet,
+  getLastWalletId,
+  setLastWalletId,
+  WALLETCONNECT_WALLET
+} from '../utils/wallets'
+
+// Sign-In with Ethereum session with the verifier server
+import { signIn, signOut, getSession } from '../utils/siwe'
+
+// How often live data is re-read from the contract, in case event subscriptions miss or reorg away logs
+const SYNC_INTERVAL = 30000
+
+/**
+ * @dev Compares two lists of token IDs
+ * @param a First list of token IDs as strings
+ * @param b Second list of token IDs as strings
+ * @return True when both hold the same IDs in the same order
+ */
+const isSameTokenList = (a, b) => a.length === b.length && a.every((id, i) => id === b[i])
 
 /**
  * @dev Main App component that orchestrates the entire application
@@ -54,89 +111,238 @@ function App() {
   const [nft, setNFT] = useState(null)                     // NFT contract instance
   const [account, setAccount] = useState(null)             // Currently connected wallet address
   const [isWalletConnected, setIsWalletConnected] = useState(false)  // Wallet connection status
+  const [ethereum, setEthereum] = useState(null)           // Connected wallet's EIP-1193 provider
+  const [injectedWallets, setInjectedWallets] = useState([]) // Wallets announced through EIP-6963
+  const [showWalletModal, setShowWalletModal] = useState(false) // Whether the wallet selection modal is open
+  const [chainId, setChainId] = useState(null)             // Chain ID the wallet is connected to
+  const [isWrongNetwork, setIsWrongNetwork] = useState(false) // Whether the wallet's chain has no NFT deployment
+  const [isOwner, setIsOwner] = useState(false)            // Whether the connected account owns the contract
 
   // NFT contract data state - stores information fetched from the smart contract
   const [revealTime, setRevealTime] = useState(0)          // Timestamp when minting becomes available
   const [maxSupply, setMaxSupply] = useState(0)            // Maximum number of NFTs that can be minted
   const [totalSupply, setTotalSupply] = useState(0)        // Current number of minted NFTs
   const [cost, setCost] = useState(0)                      // Cost to mint one NFT (in wei)
+  const [maxMintAmount, setMaxMintAmount] = useState(0)    // Maximum NFTs per mint transaction
+  const [maxPerWallet, setMaxPerWallet] = useState(0)      // Maximum NFTs a single wallet can mint
+  const [mintedByAccount, setMintedByAccount] = useState(0) // Number of NFTs the connected account has minted
+  const [allowPresaleMintingOn, setAllowPresaleMintingOn] = useState(0) // Presale start in seconds (0 for no presale)
+  const [presaleCost, setPresaleCost] = useState(0)        // Cost to mint one NFT during the presale (in wei)
+  const [presaleMaxPerWallet, setPresaleMaxPerWallet] = useState(0) // Maximum presale NFTs per address
+  const [presaleMintedByAccount, setPresaleMintedByAccount] = useState(0) // Presale NFTs minted by the connected account
+  const [merkleRoot, setMerkleRoot] = useState(null)       // Allowlist root set on the contract
   const [balance, setBalance] = useState(0)                // Number of NFTs owned by connected account
   const [ownedNFTs, setOwnedNFTs] = useState([])           // Array of token IDs owned by connected account
+  const [isRevealed, setIsRevealed] = useState(false)      // Whether the collection's real art has been revealed
+  const [revealedAt, setRevealedAt] = useState(0)          // Timestamp (seconds) when the collection was revealed
+  const [isPaused, setIsPaused] = useState(false)          // Whether the owner has paused minting
+  const [royaltyBps, setRoyaltyBps] = useState(0)          // EIP-2981 royalty on resales, in basis points
+  const [isOnChainMetadata, setIsOnChainMetadata] = useState(false) // Whether tokenURI returns on-chain SVG metadata
+  const [metadata, setMetadata] = useState({})             // Loaded metadata keyed by token ID (null if it failed)
+  const [selectedToken, setSelectedToken] = useState(null) // Token ID shown in the detail view (null when closed)
+  const [sendingToken, setSendingToken] = useState(null)   // Token ID being sent (null when the send modal is closed)
+  const [siweSession, setSiweSession] = useState(null)     // Signed-in session as { address, chainId, isHolder } (null when signed out)
 
   // UI state - manages loading states and user interface behavior
   const [isLoading, setIsLoading] = useState(true)         // Loading state for initial data fetch
+  const [view, setView] = useState('mint')                 // Current view: 'mint', 'explorer', 'perks' or 'admin'
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000)) // Clock the sale state is derived from, in seconds
+
+  const { notify } = useNotifications()
+
+  // Incremented by every loadBlockchainData call so only the latest one updates state
+  const latestLoad = useRef(0)
+
+  // Connected wallet as { id, provider } (EIP-6963 rdns or 'walletconnect'), readable from any callback
+  const connectedWallet = useRef(null)
+
+  // Whether the last used wallet has been reconnected (or tried) since the page loaded
+  const hasRestoredWallet = useRef(false)
+
+  // Wallets offered in the selection modal; window.ethereum only when no wallet supports EIP-6963
+  const wallets = useMemo(() => {
+    const legacy = injectedWallets.length === 0 ? getLegacyInjectedWallet() : null
+    return [...injectedWallets, legacy, WALLETCONNECT_WALLET].filter(Boolean)
+  }, [injectedWallets])
 
   // Function to connect wallet - called when user clicks connect button
-  const connectWallet = async () => {
-    if (window.ethereum) {
-      try {
-        // Request account access
-        const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' })
-        const account = ethers.utils.getAddress(accounts[0])
-        setAccount(account)
-        setIsWalletConnected(true)
+  const connectWallet = () => {
+    setShowWalletModal(true)
+  }
 
-        // Load blockchain data after connecting
-        await loadBlockchainData(account)
-      } catch (error) {
-        console.error('Error connecting wallet:', error)
-        window.alert('Failed to connect wallet. Please try again.')
+  // Connects the chosen wallet - without prompting when restoring the last wallet on page load
+  const connectWith = useCallback(async (wallet, prompt = true) => {
+    setShowWalletModal(false)
+
+    try {
+      const { provider: walletProvider, accounts } = await enableWallet(wallet, prompt)
+      if (accounts.length === 0) return // Not connected yet, stay read-only
+
+      connectedWallet.current = { id: wallet.id, provider: walletProvider }
+      setEthereum(walletProvider)
+      setLastWalletId(wallet.id)
+
+      // Load blockchain data after connecting
+      await loadBlockchainData(ethers.utils.getAddress(accounts[0]))
+    } catch (error) {
+      console.error('Error connecting wallet:', error)
+      if (prompt) {
+        notify('failed', `Failed to connect ${wallet.name}`, error.code === 4001 ? 'Connection request rejected' : 'Please try again')
       }
-    } else {
-      window.alert('MetaMask is not installed. Please install MetaMask to use this application.')
+    }
+  }, [notify])
+
+  // Disconnects the wallet and goes back to read-only browsing
+  // revoke is false when the wallet ended the connection itself
+  const disconnect = useCallback(async (revoke = true) => {
+    const wallet = connectedWallet.current
+    if (wallet && revoke) await disconnectWallet(wallet.id, wallet.provider)
+
+    connectedWallet.current = null
+    setLastWalletId(null)
+    setEthereum(null)
+
+    // The verifier session belongs to the account, so it ends with the connection
+    setSiweSession(null)
+    signOut().catch(() => {})
+
+    // Clear everything tied to the account, then reload read-only
+    setAccount(null)
+    setIsWalletConnected(false)
+    setIsOwner(false)
+    setBalance(0)
+    setMintedByAccount(0)
+    setPresaleMintedByAccount(0)
+    setOwnedNFTs([])
+    loadBlockchainData()
+  }, [])
+
+  // Signs the connected account in with Ethereum - asks the wallet for a signature, not a transaction
+  const handleSignIn = async () => {
+    try {
+      const session = await signIn(provider.getSigner(), account, chainId)
+      setSiweSession(session)
+      notify('confirmed', 'Signed in', session.isHolder ? 'Holder perks unlocked' : 'No Dapp Punk in this wallet yet')
+    } catch (error) {
+      console.error('Error signing in:', error)
+      notify('failed', 'Sign in failed', error.code === 4001 || error.code === 'ACTION_REJECTED' ? 'Signature request rejected' : error.message)
     }
   }
 
-  // Function to load blockchain data - enhanced to handle account parameter
+  // Function to load blockchain data - uses the wallet when connected, otherwise the read-only RPC
   const loadBlockchainData = async (userAccount = null) => {
-    if (!window.ethereum) {
-      console.error('MetaMask not found')
-      return
-    }
+    // A wallet can connect while the read-only load is still running - only the latest load wins
+    const loadId = ++latestLoad.current
+    const walletProvider = connectedWallet.current?.provider
 
     try {
-      // Initiate provider
-      const provider = new ethers.providers.Web3Provider(window.ethereum)
-      setProvider(provider)
-
-      // Initiate contract
-      const nft = new ethers.Contract(config[31337].nft.address, NFT_ABI, provider)
-      setNFT(nft)
-
       // Use provided account or fetch current account
       let currentAccount = userAccount
-      if (!currentAccount) {
-        const accounts = await window.ethereum.request({ method: 'eth_accounts' })
+      if (!currentAccount && walletProvider) {
+        const accounts = await walletProvider.request({ method: 'eth_accounts' })
         if (accounts.length > 0) {
           currentAccount = ethers.utils.getAddress(accounts[0])
-          setAccount(currentAccount)
-          setIsWalletConnected(true)
-        } else {
-          setIsLoading(false)
-          return // No accounts connected, show connect button
         }
       }
 
+      // The wallet's provider is only needed to sign; visitors read through config.json's rpcUrl
+      const provider = currentAccount
+        ? new ethers.providers.Web3Provider(walletProvider)
+        : getReadOnlyProvider()
+
+      if (!provider) {
+        console.error('No wallet connected and no rpcUrl configured for a deployed network')
+        setIsLoading(false)
+        return
+      }
+
+      // Pick the contract deployment for the wallet's network
+      const { chainId } = await provider.getNetwork()
+      const network = getNetworkConfig(chainId)
+
+      // Initiate contract - null on an unsupported network, which shows the switch network banner
+      const nft = network ? new ethers.Contract(network.nft.address, NFT_ABI, provider) : null
+
       // Fetch contract data
-      const allowMintingOn = await nft.allowMintingOn()
-      setRevealTime(allowMintingOn.toString() + '000')
+      const contractData = nft && await Promise.all([
+        nft.allowMintingOn(),
+        nft.maxSupply(),
+        nft.totalSupply(),
+        nft.cost(),
+        nft.maxMintAmount(),
+        nft.maxPerWallet(),
+        nft.allowPresaleMintingOn(),
+        nft.presaleCost(),
+        nft.presaleMaxPerWallet(),
+        nft.merkleRoot(),
+        nft.revealed(),
+        nft.revealedAt(),
+        nft.paused(),
+        nft.royaltyBps(),
+        nft.onChainMetadata()
+      ])
+
+      // Fetch user-specific data, including all NFTs owned by the user using walletOfOwner
+      const userData = nft && currentAccount && await Promise.all([
+        nft.owner(),
+        nft.balanceOf(currentAccount),
+        nft.mintedBy(currentAccount),
+        nft.presaleMintedBy(currentAccount),
+        nft.walletOfOwner(currentAccount)
+      ])
+
+      if (loadId !== latestLoad.current) return
 
-      setMaxSupply(await nft.maxSupply())
-      setTotalSupply(await nft.totalSupply())
-      setCost(await nft.cost())
+      setProvider(provider)
+      setChainId(chainId)
+      setIsWrongNetwork(!network)
+      setNFT(nft)
 
-      // Fetch user-specific data
-      const userBalance = await nft.balanceOf(currentAccount)
-      setBalance(userBalance)
+      if (currentAccount) {
+        setAccount(currentAccount)
+        setIsWalletConnected(true)
+      }
 
-      // Fetch all NFTs owned by the user using the walletOfOwner function
-      const ownedTokenIds = await nft.walletOfOwner(currentAccount)
-      setOwnedNFTs(ownedTokenIds.map(id => id.toString()))
+      if (contractData) {
+        const [
+          allowMintingOn, maxSupply, totalSupply, cost, maxMintAmount, maxPerWallet,
+          allowPresaleMintingOn, presaleCost, presaleMaxPerWallet, merkleRoot, revealed, revealedAt, paused, royaltyBps,
+          onChainMetadata
+        ] = contractData
+
+        setRevealTime(allowMintingOn.toString() + '000')
+        setMaxSupply(maxSupply)
+        setTotalSupply(totalSupply)
+        setCost(cost)
+        setMaxMintAmount(maxMintAmount)
+        setMaxPerWallet(maxPerWallet)
+        setAllowPresaleMintingOn(allowPresaleMintingOn.toNumber())
+        setPresaleCost(presaleCost)
+        setPresaleMaxPerWallet(presaleMaxPerWallet)
+        setMerkleRoot(merkleRoot)
+        setIsRevealed(revealed)
+        setRevealedAt(revealedAt.toNumber())
+        setIsPaused(paused)
+        setRoyaltyBps(royaltyBps.toNumber())
+        setIsOnChainMetadata(onChainMetadata)
+      }
+
+      if (userData) {
+        const [owner, userBalance, mintedBy, presaleMintedBy, ownedTokenIds] = userData
+
+        setIsOwner(owner === currentAccount)
+        setBalance(userBalance)
+        setMintedByAccount(mintedBy)
+        setPresaleMintedByAccount(presaleMintedBy)
+        setOwnedNFTs(ownedTokenIds.map(id => id.toString()))
+      } else {
+        setIsOwner(false) // Read-only - show public data with a connect button
+      }
 
       setIsLoading(false)
     } catch (error) {
       console.error('Error loading blockchain data:', error)
-      setIsLoading(false)
+      if (loadId === latestLoad.current) setIsLoading(false)
     }
   }
 
@@ -147,45 +353,380 @@ function App() {
     }
   }, [isLoading])
 
-  // Effect to handle MetaMask account changes - auto-refresh when user switches accounts
+  // Effect to discover injected wallets as they announce themselves (EIP-6963)
   useEffect(() => {
-    if (window.ethereum) {
-      // Listen for account changes
-      const handleAccountsChanged = (accounts) => {
-        if (accounts.length > 0) {
-          const newAccount = ethers.utils.getAddress(accounts[0])
-          setAccount(newAccount)
-          setIsWalletConnected(true)
-          // Reload data for the new account
-          loadBlockchainData(newAccount)
+    return discoverInjectedWallets((wallet) => {
+      setInjectedWallets(current => [...current.filter(existing => existing.id !== wallet.id), wallet])
+    })
+  }, [])
+
+  // Effect to reconnect the last wallet used, without prompting, once it's been discovered
+  useEffect(() => {
+    if (hasRestoredWallet.current) return
+
+    const lastWalletId = getLastWalletId()
+    const wallet = wallets.find(option => option.id === lastWalletId)
+    if (!wallet) return
+
+    hasRestoredWallet.current = true
+    connectWith(wallet, false)
+  }, [wallets, connectWith])
+
+  // Effect to handle wallet account changes - auto-refresh when user switches accounts
+  useEffect(() => {
+    if (!ethereum) return
+
+    // Listen for account changes
+    const handleAccountsChanged = (accounts) => {
+      if (accounts.length > 0) {
+        const newAccount = ethers.utils.getAddress(accounts[0])
+        setAccount(newAccount)
+        setIsWalletConnected(true)
+        // Reload data for the new account
+        loadBlockchainData(newAccount)
+      } else {
+        // User disconnected from the wallet - fall back to read-only browsing
+        disconnect(false)
+      }
+    }
+
+    // Listen for chain changes (network changes)
+    const handleChainChanged = () => {
+      // Drop everything tied to the old network, then reload from the new one
+      setNFT(null)
+      setProvider(null)
+      setIsOwner(false)
+      setBalance(0)
+      setMintedByAccount(0)
+      setPresaleMintedByAccount(0)
+      setOwnedNFTs([])
+      setMetadata({})
+      setIsLoading(true)
+    }
+
+    // WalletConnect sessions can be ended from the phone
+    const handleDisconnect = () => disconnect(false)
+
+    // Add event listeners
+    ethereum.on('accountsChanged', handleAccountsChanged)
+    ethereum.on('chainChanged', handleChainChanged)
+    ethereum.on('disconnect', handleDisconnect)
+
+    // Cleanup function to remove event listeners
+    return () => {
+      if (ethereum.removeListener) {
+        ethereum.removeListener('accountsChanged', handleAccountsChanged)
+        ethereum.removeListener('chainChanged', handleChainChanged)
+        ethereum.removeListener('disconnect', handleDisconnect)
+      }
+    }
+  }, [ethereum, disconnect])
+
+  // Effect to pick up the verifier session - a session for a different account is ended,
+  // so switching accounts in the wallet means signing in again
+  useEffect(() => {
+    if (!account) return
+
+    let cancelled = false
+
+    getSession()
+      .then((session) => {
+        if (cancelled) return
+
+        if (session.address === account) {
+          setSiweSession(session)
         } else {
-          // User disconnected wallet
-          setAccount(null)
-          setIsWalletConnected(false)
-          setBalance(0)
-          setOwnedNFTs([])
+          setSiweSession(null)
+          if (session.address) signOut().catch(() => {})
         }
+      })
+      .catch((error) => {
+        // The verifier is optional - without it the app works as before, minus the perks
+        console.warn('Sign-In with Ethereum verifier unavailable:', error.message)
+        if (!cancelled) setSiweSession(null)
+      })
+
+    return () => { cancelled = true }
+  }, [account])
+
+  // Effect to load metadata for owned NFTs - reruns after a reveal or a metadata mode switch since tokenURI changes
+  useEffect(() => {
+    if (!nft || ownedNFTs.length === 0) return
+
+    let cancelled = false
+
+    ownedNFTs.forEach(async (tokenId) => {
+      try {
+        const tokenMetadata = await loadTokenMetadata(nft, tokenId)
+        if (!cancelled) setMetadata(current => ({ ...current, [tokenId]: tokenMetadata }))
+      } catch (error) {
+        console.error(`Error loading metadata for token ${tokenId}:`, error)
+        if (!cancelled) setMetadata(current => ({ ...current, [tokenId]: null }))
       }
+    })
+
+    return () => { cancelled = true }
+  }, [nft, ownedNFTs, isRevealed, isOnChainMetadata])
+
+  // Re-reads supply and the connected account's tokens from the contract - the source of truth
+  // the live event updates are reconciled against
+  const syncLiveData = useCallback(async () => {
+    if (!nft) return
+
+    try {
+      setTotalSupply(await nft.totalSupply())
 
-      // Listen for chain changes (network changes)
-      const handleChainChanged = () => {
-        // Reload the page when chain changes to ensure proper state
-        window.location.reload()
+      if (account) {
+        setBalance(await nft.balanceOf(account))
+        setMintedByAccount(await nft.mintedBy(account))
+        setPresaleMintedByAccount(await nft.presaleMintedBy(account))
+        const ownedTokenIds = (await nft.walletOfOwner(account)).map(id => id.toString())
+
+        // Keep the same array when nothing changed so the metadata effect doesn't refetch every tokenURI
+        setOwnedNFTs(current => isSameTokenList(current, ownedTokenIds) ? current : ownedTokenIds)
       }
+    } catch (error) {
+      console.error('Error syncing contract data:', error)
+    }
+  }, [nft, account])
+
+  // Effect to apply everyone's mints to the supply as they happen
+  useEffect(() => {
+    if (!nft) return
+
+    const seen = new Set()
 
-      // Add event listeners
-      window.ethereum.on('accountsChanged', handleAccountsChanged)
-      window.ethereum.on('chainChanged', handleChainChanged)
+    // Mint(amount, minter)
+    const handleMint = async (amount, minter, event) => {
+      if (seen.has(eventKey(event))) return
+      seen.add(eventKey(event))
 
-      // Cleanup function to remove event listeners
-      return () => {
-        if (window.ethereum.removeListener) {
-          window.ethereum.removeListener('accountsChanged', handleAccountsChanged)
-          window.ethereum.removeListener('chainChanged', handleChainChanged)
+      // Re-read rather than add the amount - syncLiveData may already have read the post-mint supply
+      try {
+        setTotalSupply(await nft.totalSupply())
+
+        // Presale and public mints count against different limits, so re-read both
+        if (minter === account) {
+          setMintedByAccount(await nft.mintedBy(account))
+          setPresaleMintedByAccount(await nft.presaleMintedBy(account))
         }
+      } catch (error) {
+        console.error('Error refreshing supply:', error)
       }
     }
-  }, []) // Empty dependency array means this effect runs once on mount
+
+    nft.on('Mint', handleMint)
+
+    return () => {
+      nft.off('Mint', handleMint)
+    }
+  }, [nft, account])
+
+  // Effect to add and remove owned NFTs as they're transferred to or from the connected account
+  useEffect(() => {
+    if (!nft || !account) return
+
+    const seen = new Set()
+
+    // Transfer(from, to, tokenId) - mints arrive as transfers from the zero address
+    const handleTransfer = async (from, to, tokenId, event) => {
+      if (seen.has(eventKey(event))) return
+      seen.add(eventKey(event))
+
+      // Sending a token to yourself doesn't change what you own
+      if (from === to) return
+
+      const id = tokenId.toString()
+
+      // Adding or removing the ID is a no-op when syncLiveData already has it right
+      if (to === account) {
+        setOwnedNFTs(current => current.includes(id)
+          ? current
+          : [...current, id].sort((a, b) => a - b))
+      } else {
+        setOwnedNFTs(current => current.includes(id)
+          ? current.filter(owned => owned !== id)
+          : current)
+      }
+
+      // Re-read the balance for the same reason the supply is re-read on Mint
+      try {
+        setBalance(await nft.balanceOf(account))
+      } catch (error) {
+        console.error('Error refreshing balance:', error)
+      }
+    }
+
+    const sentFilter = nft.filters.Transfer(account, null)
+    const receivedFilter = nft.filters.Transfer(null, account)
+
+    nft.on(sentFilter, handleTransfer)
+    nft.on(receivedFilter, handleTransfer)
+
+    return () => {
+      nft.off(sentFilter, handleTransfer)
+      nft.off(receivedFilter, handleTransfer)
+    }
+  }, [nft, account])
+
+  // Effect to re-run the holder check when a token moves to or from the signed-in account,
+  // so perks unlock or lock without signing in again
+  const isSignedIn = siweSession !== null
+  useEffect(() => {
+    if (!nft || !account || !isSignedIn) return
+
+    const refreshSession = async () => {
+      try {
+        const session = await getSession()
+        setSiweSession(session.address === account ? session : null)
+      } catch (error) {
+        console.error('Error refreshing session:', error)
+      }
+    }
+
+    const sentFilter = nft.filters.Transfer(account, null)
+    const receivedFilter = nft.filters.Transfer(null, account)
+
+    nft.on(sentFilter, refreshSession)
+    nft.on(receivedFilter, refreshSession)
+
+    return () => {
+      nft.off(sentFilter, refreshSession)
+      nft.off(receivedFilter, refreshSession)
+    }
+  }, [nft, account, isSignedIn])
+
+  // Polling fallback - a dropped subscription or a chain reorg can leave the incremental
+  // updates out of date, so reconcile with the contract periodically
+  useEffect(() => {
+    if (!nft) return
+
+    const interval = setInterval(syncLiveData, SYNC_INTERVAL)
+
+    return () => clearInterval(interval)
+  }, [nft, syncLiveData])
+
+  // Effect to swap in the real art as soon as the owner reveals the collection
+  useEffect(() => {
+    if (!nft) return
+
+    const handleReveal = (baseURI, timestamp) => {
+      setIsRevealed(true)
+      setRevealedAt(timestamp.toNumber())
+    }
+
+    nft.on('Reveal', handleReveal)
+
+    return () => {
+      nft.off('Reveal', handleReveal)
+    }
+  }, [nft])
+
+  // Effect to follow owner changes to the mint date, mint limits, presale, pause switch, royalty and metadata mode
+  useEffect(() => {
+    if (!nft) return
+
+    const handleAllowMintingOnChanged = (allowMintingOn) => {
+      setRevealTime(allowMintingOn.toString() + '000')
+    }
+
+    const handleMaxMintAmountChanged = (maxMintAmount) => {
+      setMaxMintAmount(maxMintAmount)
+    }
+
+    const handleMaxPerWalletChanged = (maxPerWallet) => {
+      setMaxPerWallet(maxPerWallet)
+    }
+
+    const handlePausedChanged = (paused) => {
+      setIsPaused(paused)
+    }
+
+    const handleRoyaltyChanged = (receiver, bps) => {
+      setRoyaltyBps(bps.toNumber())
+    }
+
+    const handleOnChainMetadataChanged = (enabled) => {
+      setIsOnChainMetadata(enabled)
+    }
+
+    const handleMerkleRootChanged = (root) => {
+      setMerkleRoot(root)
+    }
+
+    const handlePresaleCostChanged = (presaleCost) => {
+      setPresaleCost(presaleCost)
+    }
+
+    const handlePresaleMaxPerWalletChanged = (presaleMaxPerWallet) => {
+      setPresaleMaxPerWallet(presaleMaxPerWallet)
+    }
+
+    const handleAllowPresaleMintingOnChanged = (allowPresaleMintingOn) => {
+      setAllowPresaleMintingOn(allowPresaleMintingOn.toNumber())
+    }
+
+    nft.on('AllowMintingOnChanged', handleAllowMintingOnChanged)
+    nft.on('MaxMintAmountChanged', handleMaxMintAmountChanged)
+    nft.on('MaxPerWalletChanged', handleMaxPerWalletChanged)
+    nft.on('PausedChanged', handlePausedChanged)
+    nft.on('RoyaltyChanged', handleRoyaltyChanged)
+    nft.on('OnChainMetadataChanged', handleOnChainMetadataChanged)
+    nft.on('MerkleRootChanged', handleMerkleRootChanged)
+    nft.on('PresaleCostChanged', handlePresaleCostChanged)
+    nft.on('PresaleMaxPerWalletChanged', handlePresaleMaxPerWalletChanged)
+    nft.on('AllowPresaleMintingOnChanged', handleAllowPresaleMintingOnChanged)
+
+    return () => {
+      nft.off('AllowMintingOnChanged', handleAllowMintingOnChanged)
+      nft.off('MaxMintAmountChanged', handleMaxMintAmountChanged)
+      nft.off('MaxPerWalletChanged', handleMaxPerWalletChanged)
+      nft.off('PausedChanged', handlePausedChanged)
+      nft.off('RoyaltyChanged', handleRoyaltyChanged)
+      nft.off('OnChainMetadataChanged', handleOnChainMetadataChanged)
+      nft.off('MerkleRootChanged', handleMerkleRootChanged)
+      nft.off('PresaleCostChanged', handlePresaleCostChanged)
+      nft.off('PresaleMaxPerWalletChanged', handlePresaleMaxPerWalletChanged)
+      nft.off('AllowPresaleMintingOnChanged', handleAllowPresaleMintingOnChanged)
+    }
+  }, [nft])
+
+  // Leave the admin view as soon as the connected account isn't the owner
+  useEffect(() => {
+    if (view === 'admin' && !isOwner) {
+      setView('mint')
+    }
+  }, [view, isOwner])
+
+  // The explorer follows the wallet's network when it's supported
+  const explorerChainId = getNetworkConfig(chainId) ? chainId : DEFAULT_CHAIN_ID
+
+  // Sale schedule in seconds, and the state the mint column is rendered from
+  const allowMintingOn = Math.floor(Number(revealTime) / 1000)
+  const saleState = getSaleState({ now, allowMintingOn, allowPresaleMintingOn, totalSupply, maxSupply, isPaused })
+  const isPresale = isPresaleWindow(now, allowPresaleMintingOn, allowMintingOn)
+
+  const network = getNetworkConfig(chainId)
+  const contractUrl = network?.explorerUrl ? `${network.explorerUrl}/address/${network.nft.address}` : null
+
+  // Effect to move the sale state on when the presale or public mint opens
+  useEffect(() => {
+    const next = getNextTransition(Math.floor(Date.now() / 1000), allowPresaleMintingOn, allowMintingOn)
+    if (next === null) return
+
+    const delay = Math.min(next * 1000 - Date.now(), MAX_TIMEOUT)
+    const timer = setTimeout(() => setNow(Math.floor(Date.now() / 1000)), Math.max(delay, 0))
+
+    return () => clearTimeout(timer)
+  }, [allowPresaleMintingOn, allowMintingOn, now])
+
+  // Number of NFTs the connected wallet can still mint before hitting its cap
+  // Presale mints count toward maxPerWallet too, so the presale allowance is capped by both limits
+  const walletRemaining = Math.max(Number(maxPerWallet) - Number(mintedByAccount), 0)
+  const presaleWalletRemaining = Math.min(
+    Math.max(Number(presaleMaxPerWallet) - Number(presaleMintedByAccount), 0),
+    walletRemaining
+  )
 
 
   return(
@@ -193,58 +734,97 @@ function App() {
       <Navigation
         account={account}
         connectWallet={connectWallet}
+        disconnectWallet={() => disconnect()}
         isWalletConnected={isWalletConnected}
+        view={view}
+        setView={setView}
+        isOwner={isOwner}
+        siweSession={siweSession}
+        onSignIn={handleSignIn}
       />
 
       <h1 className='my-4 text-center'>Dapp Punks</h1>
 
-      {isLoading ? (
+      {view === 'explorer' ? (
+        // The explorer uses a read-only provider, so it works without a wallet
+        <Explorer
+          key={explorerChainId}
+          chainId={explorerChainId}
+          account={account}
+        />
+      ) : view === 'perks' ? (
+        <Perks
+          account={account}
+          session={siweSession}
+          onSignIn={handleSignIn}
+          connectWallet={connectWallet}
+        />
+      ) : isLoading ? (
         <Loading />
-      ) : !isWalletConnected ? (
-        // Show wallet connection prompt when no wallet is connected
-        <div className='text-center my-5 py-5'>
-          <h3 className='mb-4'>Connect Your Wallet</h3>
+      ) : isWrongNetwork ? (
+        <NetworkBanner chainId={chainId} ethereum={ethereum} />
+      ) : !nft ? (
+        // The RPC is unreachable or no rpcUrl is configured - nothing can be read from the contract
+        <div className='text-center my-5'>
+          <h3 className='mb-4'>Network Unavailable</h3>
           <p className='mb-4 text-muted'>
-            Please connect your MetaMask wallet to interact with the Dapp Punks NFT collection.
+            The collection can't be loaded right now. Try again, or connect a wallet to read it through your wallet's network.
           </p>
-          <button
-            className='btn btn-primary btn-lg btn-connect-wallet'
-            onClick={connectWallet}
-          >
-            Connect MetaMask
+          <button className='btn btn-outline-primary btn-lg me-2' onClick={() => { setIsLoading(true); loadBlockchainData(account) }}>
+            Try Again
           </button>
-          <div className='mt-4'>
-            <small className='text-muted'>
-              Don't have MetaMask? <a href="https://metamask.io/" target="_blank" rel="noopener noreferrer">Download it here</a>
-            </small>
-          </div>
+          {!isWalletConnected && (
+            <button className='btn btn-primary btn-lg btn-connect-wallet' onClick={connectWallet}>
+              Connect Wallet
+            </button>
+          )}
         </div>
+      ) : view === 'admin' && isOwner ? (
+        <Admin
+          provider={provider}
+          nft={nft}
+          deploymentBlock={network?.nft.deploymentBlock}
+          onUpdate={() => loadBlockchainData(account)}
+        />
       ) : (
         <>
           <Row>
             <Col>
-              {/* Display owned NFTs or preview image */}
-              {ownedNFTs.length > 0 ? (
+              {/* Display the connect prompt, owned NFTs or preview image */}
+              {!isWalletConnected ? (
+                // Visitors can browse everything read-only; a wallet is only needed to mint or send
+                <div className='text-center my-5'>
+                  <img src={preview} alt="Preview" className='img-fluid mb-4' style={{ maxWidth: '300px' }} />
+                  <h3 className='mb-4'>Connect Your Wallet</h3>
+                  <p className='mb-4 text-muted'>
+                    Connect a wallet to mint and manage your Dapp Punks.
+                  </p>
+                  <button
+                    className='btn btn-primary btn-lg btn-connect-wallet'
+                    onClick={connectWallet}
+                  >
+                    Connect Wallet
+                  </button>
+                </div>
+              ) : ownedNFTs.length > 0 ? (
                 <div className='text-center'>
-                  <h4 className='mb-4'>Your Collection ({ownedNFTs.length} NFT{ownedNFTs.length !== 1 ? 's' : ''})</h4>
+                  <h4 className='mb-2'>Your Collection ({ownedNFTs.length} NFT{ownedNFTs.length !== 1 ? 's' : ''})</h4>
+                  <p className='mb-4'>
+                    {isRevealed ? (
+                      <small className='text-muted'>Revealed at {new Date(revealedAt * 1000).toLocaleString()}</small>
+                    ) : (
+                      <small className='text-muted'>Not revealed yet - your punks will appear once the collection is revealed</small>
+                    )}
+                  </p>
                   <div className='d-flex flex-wrap justify-content-center gap-3'>
                     {ownedNFTs.map((tokenId) => (
-                      <div key={tokenId} className='nft-item card' style={{ width: '220px' }}>
-                        <img
-                          src={`https://gateway.pinata.cloud/ipfs/QmQPEMsfd1tJnqYPbnTQCjoa8vczfsV1FmqZWgRdNQ7z3g/${tokenId}.png`}
-                          alt={`Dapp Punk #${tokenId}`}
-                          className='card-img-top'
-                          style={{ height: '220px', objectFit: 'cover' }}
-                          onError={(e) => {
-                            // Fallback to preview image if NFT image fails to load
-                            e.target.src = preview;
-                          }}
-                        />
-                        <div className='card-body p-2'>
-                          <h6 className='card-title mb-1'>Dapp Punk #{tokenId}</h6>
-                          <small className='text-muted'>Token ID: {tokenId}</small>
-                        </div>
-                      </div>
+                      <NFTCard
+                        key={tokenId}
+                        tokenId={tokenId}
+                        metadata={metadata[tokenId]}
+                        onSelect={setSelectedToken}
+                        onSend={setSendingToken}
+                      />
                     ))}
                   </div>
                   <div className='mt-4'>
@@ -263,28 +843,86 @@ function App() {
             </Col>
 
             <Col>
-              <div className='my-4 text-center'>
-                <Countdown date={parseInt(revealTime)} className='h2' />
-              </div>
+              <SaleStatus
+                saleState={saleState}
+                allowMintingOn={allowMintingOn}
+                allowPresaleMintingOn={allowPresaleMintingOn}
+                totalSupply={totalSupply}
+                maxSupply={maxSupply}
+                contractUrl={contractUrl}
+                onBrowse={() => setView('explorer')}
+                onComplete={() => setNow(Math.floor(Date.now() / 1000))}
+              />
 
               <Data
                 maxSupply={maxSupply}
                 totalSupply={totalSupply}
                 cost={cost}
                 balance={balance}
+                maxMintAmount={maxMintAmount}
+                maxPerWallet={maxPerWallet}
+                walletRemaining={walletRemaining}
+                isPresale={isPresale}
+                presaleCost={presaleCost}
+                presaleWalletRemaining={presaleWalletRemaining}
+                isPaused={isPaused}
+                isWalletConnected={isWalletConnected}
+                royaltyBps={royaltyBps}
               />
 
-              <Mint
-                provider={provider}
+              {/* The mint form is only shown while minting is open (or paused mid-sale) */}
+              {isWalletConnected && ['presale', 'live', 'paused'].includes(saleState) && (
+                <Mint
+                  provider={provider}
+                  nft={nft}
+                  account={account}
+                  cost={cost}
+                  maxSupply={maxSupply}
+                  totalSupply={totalSupply}
+                  maxMintAmount={maxMintAmount}
+                  walletRemaining={walletRemaining}
+                  isPresale={isPresale}
+                  presaleCost={presaleCost}
+                  presaleWalletRemaining={presaleWalletRemaining}
+                  merkleRoot={merkleRoot}
+                  isPaused={isPaused}
+                  onMinted={syncLiveData}
+                />
+              )}
+
+              <Activity
                 nft={nft}
-                cost={cost}
-                setIsLoading={setIsLoading}
+                account={account}
+                deploymentBlock={network?.nft.deploymentBlock}
+                explorerUrl={network?.explorerUrl || ''}
               />
             </Col>
 
           </Row>
         </>
       )}
+
+      <TokenDetail
+        tokenId={selectedToken}
+        metadata={selectedToken !== null ? metadata[selectedToken] : undefined}
+        onHide={() => setSelectedToken(null)}
+      />
+
+      <WalletModal
+        show={showWalletModal}
+        wallets={wallets}
+        lastWalletId={getLastWalletId()}
+        onSelect={(wallet) => connectWith(wallet)}
+        onHide={() => setShowWalletModal(false)}
+      />
+
+      <TransferModal
+        tokenId={sendingToken}
+        provider={provider}
+        nft={nft}
+        account={account}
+        onHide={() => setSendingToken(null)}
+      />
     </Container>
   )
 }
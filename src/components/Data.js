@@ -1,11 +1,44 @@
 import { ethers } from 'ethers'
 
-const Data = ({ maxSupply, totalSupply, cost, balance }) => {
+const Data = ({
+  maxSupply,
+  totalSupply,
+  cost,
+  balance,
+  maxMintAmount,
+  maxPerWallet,
+  walletRemaining,
+  isPresale,
+  presaleCost,
+  presaleWalletRemaining,
+  isPaused,
+  isWalletConnected,
+  royaltyBps
+}) => {
+  // During the presale the presale price and allowance apply instead of the public ones
+  const remaining = isPresale ? presaleWalletRemaining : walletRemaining
+
   return(
     <div className='text-center'>
+      {isPaused && <p><span className='badge bg-danger'>Minting Paused</span></p>}
+      {isPresale && <p><span className='badge bg-info'>Allowlist Presale</span></p>}
       <p><strong>Available to Mint:</strong> {maxSupply - totalSupply}</p>
-      <p><strong>Cost to Mint:</strong> {ethers.utils.formatUnits(cost, 'ether')} ETH</p>
-      <p><strong>You own:</strong> {balance.toString()}</p>
+      {isPresale ? (
+        <p><strong>Presale Cost:</strong> {ethers.utils.formatUnits(presaleCost, 'ether')} ETH</p>
+      ) : (
+        <p><strong>Cost to Mint:</strong> {ethers.utils.formatUnits(cost, 'ether')} ETH</p>
+      )}
+      {isWalletConnected && <p><strong>You own:</strong> {balance.toString()}</p>}
+      {royaltyBps > 0 && <p><strong>Creator Royalty:</strong> {royaltyBps / 100}% of resales</p>}
+      <p><strong>Mint Limits:</strong> {maxMintAmount.toString()} per transaction, {maxPerWallet.toString()} per wallet</p>
+      {/* Per-wallet figures need a connected account */}
+      {isWalletConnected && (
+        <p>
+          {remaining > 0
+            ? <>You can still mint <strong>{remaining}</strong></>
+            : <span className='text-danger'>You have reached the mint limit for this wallet</span>}
+        </p>
+      )}
     </div>
   )
 }
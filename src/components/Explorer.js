@@ -0,0 +1,410 @@
+/**
+ * @title Explorer Component - Browse the whole collection
+ * @dev Lists every minted punk with its owner, using a read-only provider so no wallet is needed
+ *
+ * Features:
+ * - Loads only the visible page and the next one (tokenByIndex, ownerOf and metadata), so a
+ *   full collection doesn't mean thousands of RPC and gateway requests up front
+ * - Filters by trait type/value and sorts by rarity rank over the punks searched so far,
+ *   searching further on request
+ * - "Only my punks" pages through walletOfOwner() for the connected account
+ * - Opens the token detail view when a card is clicked
+ *
+ * Props:
+ * @param chainId - Chain to read from; its rpcUrl and NFT address come from config.json
+ * @param account - Currently connected wallet address (optional, highlights owned tokens)
+ */
+
+// React hooks for state management and side effects
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+
+// Bootstrap components for the filter form and pagination
+import { Row, Col, Form, Button, Pagination } from 'react-bootstrap'
+
+// Ethers.js library for the read-only contract
+import { ethers } from 'ethers'
+
+// Custom React components
+import NFTCard from './NFTCard';           // Single NFT card rendered from metadata
+import TokenDetail from './TokenDetail';   // NFT detail modal with traits and rarity
+import Loading from './Loading';           // Loading spinner component
+
+// Metadata loader and rarity lookups
+import { loadTokenMetadata } from '../utils/metadata'
+import { getTokenRarity, getTraitValues } from '../utils/rarity'
+
+// Contract ABI and network lookups
+import NFT_ABI from '../abis/NFT.json'
+import { getNetworkConfig, getReadOnlyProvider } from '../utils/networks'
+
+// Number of tokens shown per page
+const PAGE_SIZE = 12
+
+// Number of tokens filters and the rarity sort search through at a time
+const SEARCH_SIZE = PAGE_SIZE * 2
+
+/**
+ * @dev Returns a token's rarity rank, or Infinity while it's unrevealed so it sorts last
+ * @param tokenMetadata The token's loaded metadata
+ * @return The rarity rank
+ */
+const rarityRank = (tokenMetadata) => getTokenRarity(tokenMetadata?.attributes)?.rank ?? Infinity
+
+/**
+ * @dev Returns the page links to show: the first, the last and two either side of the current page
+ * @param currentPage The current page index
+ * @param pageCount The number of pages
+ * @return Array of page indexes, with null where pages are skipped
+ */
+const pageNumbers = (currentPage, pageCount) => {
+  const pages = []
+
+  for (let index = 0; index < pageCount; index++) {
+    if (index === 0 || index === pageCount - 1 || Math.abs(index - currentPage) <= 2) {
+      pages.push(index)
+    } else if (pages[pages.length - 1] !== null) {
+      pages.push(null)
+    }
+  }
+
+  return pages
+}
+
+/**
+ * @dev Explorer component that displays every minted NFT
+ * @param props Object containing the chain ID and connected account
+ * @return JSX element representing the collection explorer
+ */
+const Explorer = ({ chainId, account }) => {
+  const [totalSupply, setTotalSupply] = useState(null)
+  const [tokens, setTokens] = useState({})        // { tokenId, owner } by index in the collection
+  const [ownedIds, setOwnedIds] = useState(null)  // Connected account's token IDs, loaded for "Only my punks"
+  const [metadata, setMetadata] = useState({})
+  const [error, setError] = useState(null)
+  const [attempt, setAttempt] = useState(0)       // Bumped by "Try Again" to reload the supply
+
+  // Filter, sort and paging state
+  const [filters, setFilters] = useState({})   // Selected value per trait type
+  const [sortBy, setSortBy] = useState('id-asc')
+  const [onlyMine, setOnlyMine] = useState(false)
+  const [page, setPage] = useState(0)
+  const [searchCount, setSearchCount] = useState(SEARCH_SIZE) // Punks filters and rarity sort look through
+
+  const [selectedToken, setSelectedToken] = useState(null)
+
+  // Indexes and token IDs already requested, so each is only fetched once
+  const requestedIndexes = useRef(new Set())
+  const requestedMetadata = useRef(new Set())
+  const isMounted = useRef(true)
+
+  // Read-only contract - works without a connected wallet
+  // null when the chain has no deployment or no rpcUrl, which shows the Network Unavailable state
+  const nft = useMemo(() => {
+    const address = getNetworkConfig(chainId)?.nft?.address
+    const provider = getReadOnlyProvider(chainId)
+    return address && provider ? new ethers.Contract(address, NFT_ABI, provider) : null
+  }, [chainId])
+
+  useEffect(() => {
+    isMounted.current = true
+    return () => { isMounted.current = false }
+  }, [])
+
+  // The supply is all that's needed up front - tokens are loaded page by page
+  useEffect(() => {
+    if (!nft) return
+
+    nft.totalSupply()
+      .then(supply => { if (isMounted.current) setTotalSupply(supply.toNumber()) })
+      .catch(error => {
+        console.error('Error loading collection:', error)
+        if (isMounted.current) setError(error)
+      })
+  }, [nft, attempt])
+
+  // "Only my punks" reads the account's tokens in one call instead of searching the collection
+  useEffect(() => {
+    setOwnedIds(null)
+    if (!nft || !onlyMine || !account) return
+
+    let cancelled = false
+
+    nft.walletOfOwner(account)
+      .then(ids => { if (!cancelled) setOwnedIds(ids.map(id => id.toString())) })
+      .catch(error => {
+        console.error('Error loading owned punks:', error)
+        if (!cancelled) setOwnedIds([])
+      })
+
+    return () => { cancelled = true }
+  }, [nft, onlyMine, account])
+
+  // Metadata loads in the background; cards show a spinner until it arrives
+  const loadMetadata = useCallback(async (tokenId) => {
+    if (requestedMetadata.current.has(tokenId)) return
+    requestedMetadata.current.add(tokenId)
+
+    try {
+      const tokenMetadata = await loadTokenMetadata(nft, tokenId)
+      if (isMounted.current) setMetadata(current => ({ ...current, [tokenId]: tokenMetadata }))
+    } catch (error) {
+      if (isMounted.current) setMetadata(current => ({ ...current, [tokenId]: null }))
+    }
+  }, [nft])
+
+  // Looks up the token at a collection index, its owner and then its metadata
+  const loadIndex = useCallback(async (index) => {
+    if (requestedIndexes.current.has(index)) return
+    requestedIndexes.current.add(index)
+
+    try {
+      const tokenId = (await nft.tokenByIndex(index)).toString()
+      const owner = await nft.ownerOf(tokenId)
+      if (!isMounted.current) return
+
+      setTokens(current => ({ ...current, [index]: { tokenId, owner } }))
+      loadMetadata(tokenId)
+    } catch (error) {
+      console.error(`Error loading token at index ${index}:`, error)
+      requestedIndexes.current.delete(index) // Retried when the page is shown again
+    }
+  }, [nft, loadMetadata])
+
+  const activeFilters = useMemo(
+    () => Object.entries(filters).filter(([, value]) => value !== ''),
+    [filters]
+  )
+
+  // Filters and rarity need metadata, so they search the loaded punks rather than page by index
+  const isSearching = activeFilters.length > 0 || sortBy === 'rarity'
+
+  // The list being browsed: the whole collection, or the connected account's punks
+  const isOwnedList = onlyMine && account
+  const entryCount = isOwnedList ? (ownedIds?.length ?? 0) : (totalSupply ?? 0)
+
+  // Positions in the list, in token ID order (ascending, or descending for 'id-desc')
+  const positionAt = useCallback(
+    (i) => sortBy === 'id-desc' ? entryCount - 1 - i : i,
+    [sortBy, entryCount]
+  )
+
+  const entryAt = useCallback(
+    (position) => isOwnedList
+      ? ownedIds && { tokenId: ownedIds[position], owner: account }
+      : tokens[position],
+    [isOwnedList, ownedIds, account, tokens]
+  )
+
+  // Browsing shows the current page and prefetches the next; searching loads the first searchCount punks
+  const searchedCount = Math.min(searchCount, entryCount)
+  const wantedPositions = useMemo(() => {
+    const [from, to] = isSearching
+      ? [0, searchedCount]
+      : [page * PAGE_SIZE, Math.min((page + 2) * PAGE_SIZE, entryCount)]
+
+    return [...Array(Math.max(to - from, 0)).keys()].map(i => positionAt(from + i))
+  }, [isSearching, searchedCount, page, entryCount, positionAt])
+
+  useEffect(() => {
+    wantedPositions.forEach(position => {
+      if (isOwnedList) {
+        if (ownedIds) loadMetadata(ownedIds[position])
+      } else {
+        loadIndex(position)
+      }
+    })
+  }, [wantedPositions, isOwnedList, ownedIds, loadIndex, loadMetadata])
+
+  // Search results: the loaded punks that match the filters, sorted
+  const searchResults = useMemo(() => {
+    if (!isSearching) return []
+
+    const loaded = [...Array(searchedCount).keys()]
+      .map(i => entryAt(positionAt(i)))
+      .filter(Boolean)
+
+    const matching = loaded.filter(({ tokenId }) => {
+      const attributes = metadata[tokenId]?.attributes || []
+      return activeFilters.every(([traitType, value]) => (
+        attributes.some(attribute => attribute.trait_type === traitType && attribute.value === value)
+      ))
+    })
+
+    return sortBy === 'rarity'
+      ? matching.sort((a, b) => (
+        rarityRank(metadata[a.tokenId]) - rarityRank(metadata[b.tokenId]) || a.tokenId - b.tokenId
+      ))
+      : matching
+  }, [isSearching, searchedCount, entryAt, positionAt, metadata, activeFilters, sortBy])
+
+  const listLength = isSearching ? searchResults.length : entryCount
+  const pageCount = Math.max(Math.ceil(listLength / PAGE_SIZE), 1)
+  const currentPage = Math.min(page, pageCount - 1)
+
+  const pageTokens = isSearching
+    ? searchResults.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE)
+    : wantedPositions.slice(0, PAGE_SIZE).map(entryAt).filter(Boolean)
+
+  // Still waiting on lookups for this page (or for the punks being searched)
+  const isPageLoading = isSearching
+    ? [...Array(searchedCount).keys()].some(i => !entryAt(positionAt(i)))
+    : pageTokens.length < Math.min(PAGE_SIZE, entryCount - currentPage * PAGE_SIZE)
+
+  // Changing a filter, the sort order or the list goes back to the first page
+  const updateFilter = (traitType, value) => {
+    setFilters(current => ({ ...current, [traitType]: value }))
+    setPage(0)
+  }
+
+  const updateSort = (value) => {
+    setSortBy(value)
+    setPage(0)
+  }
+
+  const traitValues = useMemo(() => getTraitValues(), [])
+
+  if (!nft || error) {
+    // The RPC is unreachable or no rpcUrl is configured - nothing can be read from the contract
+    return (
+      <div className='text-center my-5'>
+        <h3 className='mb-4'>Network Unavailable</h3>
+        <p className='mb-4 text-muted'>
+          The collection can't be loaded right now. Check that the network is reachable and try again.
+        </p>
+        {nft && (
+          <button className='btn btn-outline-primary btn-lg' onClick={() => { setError(null); setAttempt(current => current + 1) }}>
+            Try Again
+          </button>
+        )}
+      </div>
+    )
+  }
+
+  if (totalSupply === null || (isOwnedList && ownedIds === null)) {
+    return <Loading />
+  }
+
+  return (
+    <div>
+      <h4 className='text-center mb-4'>
+        Collection Explorer ({totalSupply} minted)
+      </h4>
+
+      <Form className='mb-4'>
+        <Row className='g-2'>
+          {Object.entries(traitValues).map(([traitType, values]) => (
+            <Col key={traitType} xs={6} md={4} lg={2}>
+              <Form.Select
+                size="sm"
+                aria-label={traitType}
+                value={filters[traitType] || ''}
+                onChange={(e) => updateFilter(traitType, e.target.value)}
+              >
+                <option value=''>{traitType}: Any</option>
+                {values.map(value => (
+                  <option key={value} value={value}>{value}</option>
+                ))}
+              </Form.Select>
+            </Col>
+          ))}
+        </Row>
+
+        <Row className='g-2 mt-1 align-items-center'>
+          <Col xs='auto'>
+            <Form.Select size="sm" value={sortBy} onChange={(e) => updateSort(e.target.value)}>
+              <option value='id-asc'>Token ID: Low to High</option>
+              <option value='id-desc'>Token ID: High to Low</option>
+              <option value='rarity'>Rarity: Rarest First</option>
+            </Form.Select>
+          </Col>
+          {account && (
+            <Col xs='auto'>
+              <Form.Check
+                type='switch'
+                id='explorer-only-mine'
+                label='Only my punks'
+                checked={onlyMine}
+                onChange={(e) => { setOnlyMine(e.target.checked); setPage(0) }}
+              />
+            </Col>
+          )}
+          <Col xs='auto'>
+            <Button
+              variant='link'
+              size='sm'
+              onClick={() => { setFilters({}); setOnlyMine(false); setPage(0) }}
+            >
+              Clear filters
+            </Button>
+          </Col>
+          <Col className='text-end'>
+            <small className='text-muted'>
+              {isSearching
+                ? `${searchResults.length} found in ${searchedCount} of ${entryCount} searched`
+                : isOwnedList ? `${entryCount} of ${totalSupply} owned by you` : `${totalSupply} punks`}
+              {isPageLoading ? ' (loading...)' : ''}
+            </small>
+          </Col>
+        </Row>
+      </Form>
+
+      {pageTokens.length > 0 ? (
+        <div className='d-flex flex-wrap justify-content-center gap-3'>
+          {pageTokens.map(({ tokenId, owner }) => (
+            <NFTCard
+              key={tokenId}
+              tokenId={tokenId}
+              metadata={metadata[tokenId]}
+              owner={owner}
+              isOwned={account === owner}
+              onSelect={setSelectedToken}
+            />
+          ))}
+        </div>
+      ) : isPageLoading ? (
+        <Loading />
+      ) : (
+        <p className='text-center text-muted my-5'>
+          {entryCount === 0
+            ? (isOwnedList ? 'You don\'t own any punks yet' : 'No punks have been minted yet')
+            : 'No punks match these filters'}
+        </p>
+      )}
+
+      {isSearching && searchedCount < entryCount && (
+        <div className='text-center mt-3'>
+          <Button
+            variant='outline-primary'
+            size='sm'
+            disabled={isPageLoading}
+            onClick={() => setSearchCount(searchedCount + SEARCH_SIZE)}
+          >
+            Search {Math.min(SEARCH_SIZE, entryCount - searchedCount)} more punks
+          </Button>
+        </div>
+      )}
+
+      {pageCount > 1 && (
+        <Pagination className='justify-content-center mt-4'>
+          <Pagination.Prev disabled={currentPage === 0} onClick={() => setPage(currentPage - 1)} />
+          {pageNumbers(currentPage, pageCount).map((index, i) => index === null ? (
+            <Pagination.Ellipsis key={`gap-${i}`} disabled />
+          ) : (
+            <Pagination.Item key={index} active={index === currentPage} onClick={() => setPage(index)}>
+              {index + 1}
+            </Pagination.Item>
+          ))}
+          <Pagination.Next disabled={currentPage === pageCount - 1} onClick={() => setPage(currentPage + 1)} />
+        </Pagination>
+      )}
+
+      <TokenDetail
+        tokenId={selectedToken}
+        metadata={selectedToken !== null ? metadata[selectedToken] : undefined}
+        onHide={() => setSelectedToken(null)}
+      />
+    </div>
+  )
+}
+
+export default Explorer;
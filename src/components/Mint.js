@@ -3,77 +3,279 @@
  * @dev This component provides the user interface for minting NFTs
  *
  * Features:
- * - Single NFT minting with payment validation
- * - Transaction status feedback and error handling
+ * - Multi-quantity minting capped at the remaining supply and the mint limits
+ * - Allowlist presale minting using the account's Merkle proof from allowlist.json
+ * - Live total cost (cost × amount) and estimated gas fee preview
+ * - Pre-flight check (block time, callStatic, estimateGas, ETH balance) that disables the
+ *   button with the reason whenever the mint would revert
+ * - Transaction status notifications with the contract's revert reason on failure
  * - Loading states during blockchain transactions
  * - Integration with MetaMask for transaction signing
  *
  * Props:
  * @param provider - Ethers.js provider for blockchain connection
  * @param nft - NFT contract instance for calling mint function
+ * @param account - Currently connected wallet address
  * @param cost - Cost to mint one NFT (in wei)
- * @param setIsLoading - Function to trigger data refresh after minting
+ * @param maxSupply - Maximum number of NFTs that can be minted
+ * @param totalSupply - Current number of minted NFTs
+ * @param maxMintAmount - Maximum number of NFTs per mint transaction
+ * @param walletRemaining - Number of NFTs the connected wallet can still mint
+ * @param isPresale - Whether the allowlist presale is currently active
+ * @param presaleCost - Cost to mint one NFT during the presale (in wei)
+ * @param presaleWalletRemaining - Number of NFTs the connected wallet can still mint in the presale
+ * @param merkleRoot - The allowlist root set on the contract
+ * @param isPaused - Whether the owner has paused minting
+ * @param onMinted - Called after a confirmed mint so supply and owned NFTs refresh without a reload
  */
 
-// React hooks for state management
-import { useState } from 'react';
+// React hooks for state management and side effects
+import { useEffect, useState } from 'react';
 
 // Bootstrap components for form UI
 import Form from 'react-bootstrap/Form';
 import Button from 'react-bootstrap/Button';
 import Spinner from 'react-bootstrap/Spinner';
 
+// Ethers.js utilities for formatting wei amounts
+import { ethers } from 'ethers'
+
+// Allowlist Merkle root and per-address proofs generated by scripts/allowlist.js
+import allowlist from '../allowlist.json'
+
+// Toasts for messages and transaction status
+import { useNotifications } from './Notifications'
+
+// Revert reason decoding
+import { getErrorMessage } from '../utils/transactions'
+
+// Longest delay setTimeout supports
+import { MAX_TIMEOUT } from '../utils/sale'
+
+/**
+ * @dev Checks that a mint would succeed without asking the wallet to sign anything
+ *
+ * Mint times are compared with the latest block's timestamp rather than the browser clock,
+ * since that's what the contract sees. callStatic then runs the mint against the current
+ * state, so any other revert (limits, supply, proof) comes back with the contract's reason.
+ *
+ * @param options Object with provider, nft, account, isPresale, amount, proof and value (wei)
+ * @return Object with reason (null if the mint would succeed), opensAt for time-based failures, and gasFee
+ */
+const preflightMint = async ({ provider, nft, account, isPresale, amount, proof, value }) => {
+  const block = await provider.getBlock('latest')
+
+  const opensAt = isPresale ? await nft.allowPresaleMintingOn() : await nft.allowMintingOn()
+  if (block.timestamp < opensAt.toNumber()) {
+    return {
+      reason: isPresale ? 'Presale Not Open Yet' : 'Minting Not Open Yet',
+      opensAt: opensAt.toNumber(),
+      blockTime: block.timestamp,
+      gasFee: null
+    }
+  }
+
+  const balance = await provider.getBalance(account)
+  if (balance.lt(value)) {
+    return { reason: `Not Enough ETH (${ethers.utils.formatEther(value)} ETH needed)`, gasFee: null }
+  }
+
+  const contract = nft.connect(provider.getSigner())
+  const args = isPresale ? [amount, proof, { value }] : [amount, { value }]
+  const method = isPresale ? 'presaleMint' : 'mint'
+
+  try {
+    await contract.callStatic[method](...args)
+  } catch (error) {
+    return { reason: getErrorMessage(error), gasFee: null }
+  }
+
+  const gasLimit = await contract.estimateGas[method](...args)
+  const gasFee = gasLimit.mul(await provider.getGasPrice())
+
+  if (balance.lt(value.add(gasFee))) {
+    return { reason: 'Not Enough ETH for Gas', gasFee }
+  }
+
+  return { reason: null, gasFee }
+}
+
 /**
  * @dev Mint component that handles NFT minting functionality
- * @param props Object containing provider, nft contract, cost, and loading setter
+ * @param props Object containing provider, nft contract, cost, supply data and mint callback
  * @return JSX element representing the minting interface
  */
-const Mint = ({ provider, nft, cost, setIsLoading }) => {
+const Mint = ({
+  provider,
+  nft,
+  account,
+  cost,
+  maxSupply,
+  totalSupply,
+  maxMintAmount,
+  walletRemaining,
+  isPresale,
+  presaleCost,
+  presaleWalletRemaining,
+  merkleRoot,
+  isPaused,
+  onMinted
+}) => {
+  const { notify, trackTransaction } = useNotifications()
+
   // State to track if a minting transaction is in progress
   const [isWaiting, setIsWaiting] = useState(false)
 
-  // Enhanced mint handler with better error handling and user feedback
+  // Number of NFTs to mint in a single transaction
+  const [amount, setAmount] = useState(1)
+
+  // Estimated gas fee (in wei) for the current amount, null while unknown
+  const [gasFee, setGasFee] = useState(null)
+
+  // Why the mint would revert right now, null when it would succeed
+  const [blockedReason, setBlockedReason] = useState(null)
+  const [isChecking, setIsChecking] = useState(false)
+
+  // Bumped to re-run the pre-flight check, e.g. once the mint date passes
+  const [recheck, setRecheck] = useState(0)
+
+  // Remaining supply caps how many NFTs can be minted at once
+  const remaining = Math.max(Number(maxSupply) - Number(totalSupply), 0)
+
+  // Merkle proof for the connected account, undefined when it isn't on the allowlist
+  // Proofs only verify against the root they were built for, so a different root on the contract means no proof
+  const proof = account && merkleRoot === allowlist.root ? allowlist.proofs[account] : undefined
+  const isAllowlisted = proof !== undefined
+
+  // Presale and public sale have different prices and limits
+  const unitCost = isPresale ? presaleCost : cost
+  const walletAllowance = Math.min(Number(maxMintAmount), isPresale ? presaleWalletRemaining : walletRemaining)
+
+  // The most this wallet can mint right now: supply and the current phase's limits all apply
+  const mintable = isPaused || (isPresale && !isAllowlisted) ? 0 : Math.min(remaining, walletAllowance)
+
+  // Total ETH (in wei) that has to be sent with the mint transaction
+  const totalCost = ethers.BigNumber.from(unitCost).mul(amount)
+
+  // The presale goes through presaleMint with the account's proof, the public sale through mint
+  const mintMethod = isPresale ? 'presaleMint' : 'mint'
+  const mintArgs = (mintAmount, value) => (
+    isPresale ? [mintAmount, proof, { value }] : [mintAmount, { value }]
+  )
+
+  // Keep the selected amount within the mintable range when supply or limits change
+  useEffect(() => {
+    if (amount > mintable) {
+      setAmount(Math.max(mintable, 1))
+    }
+  }, [amount, mintable])
+
+  // Re-run the pre-flight check whenever the amount, price, limits or supply change
+  useEffect(() => {
+    let cancelled = false
+    let timer = null
+
+    const checkMint = async () => {
+      if (!provider || !nft || !account || mintable === 0) {
+        setGasFee(null)
+        setBlockedReason(null)
+        return
+      }
+
+      setIsChecking(true)
+
+      try {
+        const value = ethers.BigNumber.from(unitCost).mul(amount)
+        const result = await preflightMint({ provider, nft, account, isPresale, amount, proof, value })
+        if (cancelled) return
+
+        setGasFee(result.gasFee)
+        setBlockedReason(result.reason)
+
+        // Check again just after the chain reaches the mint date (setTimeout caps out at ~24.8 days)
+        if (result.opensAt) {
+          const delay = Math.min((result.opensAt - result.blockTime + 1) * 1000, MAX_TIMEOUT)
+          timer = setTimeout(() => setRecheck(count => count + 1), delay)
+        }
+      } catch (error) {
+        console.error('Mint pre-flight check failed:', error)
+        if (!cancelled) {
+          setGasFee(null)
+          setBlockedReason(null) // Don't block minting because a read failed
+        }
+      }
+
+      if (!cancelled) setIsChecking(false)
+    }
+
+    checkMint()
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [provider, nft, account, amount, unitCost, mintable, isPresale, proof, totalSupply, recheck])
+
+  // Parse the quantity input and clamp it between 1 and the mintable amount
+  const amountHandler = (e) => {
+    const value = parseInt(e.target.value)
+    if (isNaN(value)) {
+      setAmount(1)
+      return
+    }
+    setAmount(Math.min(Math.max(value, 1), Math.max(mintable, 1)))
+  }
+
+  // Label for the mint button, explaining why it's disabled when nothing can be minted
+  const buttonLabel = () => {
+    if (remaining === 0) return 'Sold Out'
+    if (isPaused) return 'Minting Paused'
+    if (isPresale && !isAllowlisted) return 'Not on Allowlist'
+    if (walletAllowance === 0) return 'Wallet Limit Reached'
+    if (blockedReason) return blockedReason
+    return `Mint ${amount} NFT${amount !== 1 ? 's' : ''}`
+  }
+
+  // Mint handler - the notification tracks the transaction and shows the revert reason if it fails
   const mintHandler = async (e) => {
     e.preventDefault()
 
     // Check if wallet is connected and provider is available
     if (!provider || !nft) {
-      window.alert('Please connect your wallet first')
+      notify('warning', 'Please connect your wallet first')
+      return
+    }
+
+    if (amount > mintable) {
+      notify('warning', `You can only mint ${mintable} NFT${mintable !== 1 ? 's' : ''} right now`)
       return
     }
 
     setIsWaiting(true)
 
+    // Check again right before the wallet prompt - state may have changed since the last check
     try {
-      const signer = await provider.getSigner()
-      const transaction = await nft.connect(signer).mint(1, { value: cost })
-
-      // Show transaction submitted message
-      console.log('Transaction submitted:', transaction.hash)
-
-      // Wait for transaction confirmation
-      await transaction.wait()
-
-      // Show success message
-      window.alert('NFT minted successfully!')
-
-    } catch (error) {
-      console.error('Minting error:', error)
-
-      // Provide more specific error messages
-      if (error.code === 4001) {
-        window.alert('Transaction rejected by user')
-      } else if (error.message.includes('insufficient funds')) {
-        window.alert('Insufficient funds to complete the transaction')
-      } else if (error.message.includes('execution reverted')) {
-        window.alert('Transaction failed. Please check if minting is allowed and you have enough ETH.')
-      } else {
-        window.alert('Transaction failed. Please try again.')
+      const result = await preflightMint({ provider, nft, account, isPresale, amount, proof, value: totalCost })
+      if (result.reason) {
+        setBlockedReason(result.reason)
+        notify('failed', `Can't mint ${amount} NFT${amount !== 1 ? 's' : ''}`, result.reason)
+        setIsWaiting(false)
+        return
       }
+    } catch (error) {
+      console.error('Mint pre-flight check failed:', error)
     }
 
+    const signer = await provider.getSigner()
+    const receipt = await trackTransaction(
+      `Mint ${amount} NFT${amount !== 1 ? 's' : ''}`,
+      () => nft.connect(signer)[mintMethod](...mintArgs(amount, totalCost))
+    )
+
+    // Mint/Transfer events update the page too; this just skips waiting for the next event poll
+    if (receipt) onMinted()
+
     setIsWaiting(false)
-    setIsLoading(true) // Reload blockchain data to update NFT count
   }
 
   return(
@@ -81,18 +283,50 @@ const Mint = ({ provider, nft, cost, setIsLoading }) => {
       {isWaiting ? (
         <div className="text-center">
           <Spinner animation="border" style={{ display: 'block', margin: '0 auto' }} />
-          <p className="mt-3">Minting your NFT...</p>
+          <p className="mt-3">Minting your NFT{amount !== 1 ? 's' : ''}...</p>
           <small className="text-muted">Please confirm the transaction in your wallet</small>
         </div>
       ) : (
         <Form.Group>
+          <Form.Label>Quantity</Form.Label>
+          <Form.Control
+            type="number"
+            min={1}
+            max={Math.max(mintable, 1)}
+            value={amount}
+            onChange={amountHandler}
+            disabled={mintable === 0}
+          />
+          {isPresale && !isAllowlisted ? (
+            <Form.Text className="d-block mb-3 text-danger">
+              Not on allowlist - this account can mint once the public sale opens
+            </Form.Text>
+          ) : isPresale ? (
+            <Form.Text className="d-block mb-3">
+              Presale: you can still mint {presaleWalletRemaining} (max {maxMintAmount.toString()} per transaction)
+            </Form.Text>
+          ) : (
+            <Form.Text className="d-block mb-3">
+              You can still mint {walletRemaining} (max {maxMintAmount.toString()} per transaction)
+            </Form.Text>
+          )}
+
+          <div className="text-center mb-3">
+            <div>
+              <strong>Total:</strong> {ethers.utils.formatUnits(totalCost, 'ether')} ETH
+            </div>
+            <small className="text-muted">
+              Estimated gas fee: {gasFee ? `${ethers.utils.formatUnits(gasFee, 'ether')} ETH` : 'unavailable'}
+            </small>
+          </div>
+
           <Button
             variant="primary"
             type="submit"
             style={{ width: '100%' }}
-            disabled={!provider || !nft}
+            disabled={!provider || !nft || mintable === 0 || blockedReason !== null || isChecking}
           >
-            Mint NFT
+            {buttonLabel()}
           </Button>
         </Form.Group>
       )}
@@ -0,0 +1,80 @@
+/**
+ * @title NFTCard Component - Single NFT display card
+ * @dev Renders a token from its loaded metadata
+ *
+ * Features:
+ * - Image resolved through the IPFS gateways with a preview fallback
+ * - Shows a spinner while metadata is still loading
+ * - Opens the token detail view when clicked
+ * - Optional "Send" action for tokens the connected account owns
+ *
+ * Props:
+ * @param tokenId - The token ID to display
+ * @param metadata - Metadata from loadTokenMetadata, undefined while loading, null on failure
+ * @param owner - Owner address to show under the title (optional)
+ * @param isOwned - Whether the connected account owns this token (optional)
+ * @param onSelect - Called with the token ID when the card is clicked
+ * @param onSend - Called with the token ID when "Send" is clicked (the button is hidden without it)
+ */
+
+// Bootstrap components for the loading state and send action
+import Spinner from 'react-bootstrap/Spinner'
+import Button from 'react-bootstrap/Button'
+
+// Token image with gateway fallback
+import NFTImage from './NFTImage'
+
+/**
+ * @dev NFTCard component that displays one NFT
+ * @param props Object containing the token ID, its metadata, owner and the select/send handlers
+ * @return JSX element representing the NFT card
+ */
+const NFTCard = ({ tokenId, metadata, owner, isOwned, onSelect, onSend }) => {
+  return (
+    <div
+      className='nft-item card'
+      style={{ width: '220px' }}
+      onClick={() => onSelect && onSelect(tokenId)}
+    >
+      {metadata === undefined ? (
+        <div className='d-flex align-items-center justify-content-center' style={{ height: '220px' }}>
+          <Spinner animation="border" size="sm" />
+        </div>
+      ) : (
+        <NFTImage
+          metadata={metadata}
+          alt={metadata?.name || `Dapp Punk #${tokenId}`}
+          className='card-img-top'
+          style={{ height: '220px', objectFit: 'cover' }}
+        />
+      )}
+      <div className='card-body p-2'>
+        <h6 className='card-title mb-1'>{metadata?.name || `Dapp Punk #${tokenId}`}</h6>
+        <small className='text-muted'>Token ID: {tokenId}</small>
+        {owner && (
+          <div>
+            <small className='text-muted'>
+              Owner: {isOwned ? 'You' : `${owner.slice(0, 6)}...${owner.slice(-4)}`}
+            </small>
+          </div>
+        )}
+        {onSend && (
+          <Button
+            variant="outline-primary"
+            size="sm"
+            className="mt-2 w-100"
+            onClick={(e) => {
+              // Don't open the detail view as well
+              e.stopPropagation()
+              onSend(tokenId)
+            }}
+          >
+            Send
+          </Button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default NFTCard;
@@ -0,0 +1,49 @@
+/**
+ * @title NFTImage Component - Token image with gateway fallback
+ * @dev Tries each gateway URL from the token's metadata in turn before falling back to the preview image
+ *
+ * Props:
+ * @param metadata - Metadata from loadTokenMetadata (null when it failed to load)
+ * @param alt - Alternative text for the image
+ * @param className - CSS classes for the img element
+ * @param style - Inline styles for the img element
+ */
+
+// React hooks for state management and side effects
+import { useEffect, useState } from 'react'
+
+// Fallback image when metadata or every image URL fails to load
+import preview from '../preview.png'
+
+/**
+ * @dev NFTImage component that renders a token's image
+ * @param props Object containing the metadata and img attributes
+ * @return JSX element representing the image
+ */
+const NFTImage = ({ metadata, alt, className, style }) => {
+  // Index into metadata.imageURLs of the gateway currently being tried
+  const [imageIndex, setImageIndex] = useState(0)
+
+  // Start again from the first gateway when the metadata changes (e.g. after a reveal)
+  useEffect(() => {
+    setImageIndex(0)
+  }, [metadata])
+
+  const imageURLs = metadata ? metadata.imageURLs : []
+  const src = imageIndex < imageURLs.length ? imageURLs[imageIndex] : preview
+
+  return (
+    <img
+      src={src}
+      alt={alt}
+      className={className}
+      style={style}
+      onError={() => {
+        // Fall through to the next gateway, then to the preview image
+        if (imageIndex < imageURLs.length) setImageIndex(imageIndex + 1)
+      }}
+    />
+  )
+}
+
+export default NFTImage;
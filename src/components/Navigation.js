@@ -1,9 +1,10 @@
 import Navbar from 'react-bootstrap/Navbar';
+import Nav from 'react-bootstrap/Nav';
 import Button from 'react-bootstrap/Button';
 
 import logo from '../logo.png';
 
-const Navigation = ({ account, connectWallet, isWalletConnected }) => {
+const Navigation = ({ account, connectWallet, disconnectWallet, isWalletConnected, view, setView, isOwner, siweSession, onSignIn }) => {
 
   // Function to truncate wallet address for better readability
   const truncateAddress = (address) => {
@@ -21,12 +22,38 @@ const Navigation = ({ account, connectWallet, isWalletConnected }) => {
         className="d-inline-block align-top mx-3"
       />
       <Navbar.Brand href="#">Dapp Punks</Navbar.Brand>
+      <Nav activeKey={view} onSelect={setView}>
+        <Nav.Link eventKey="mint">Mint</Nav.Link>
+        <Nav.Link eventKey="explorer">Explorer</Nav.Link>
+        <Nav.Link eventKey="perks">Perks</Nav.Link>
+        {isOwner && <Nav.Link eventKey="admin">Admin</Nav.Link>}
+      </Nav>
       <Navbar.Collapse className="justify-content-end">
         {isWalletConnected && account ? (
-          <Navbar.Text className="me-3">
-            <span className="badge bg-success me-2">Connected</span>
-            <strong>{truncateAddress(account)}</strong>
-          </Navbar.Text>
+          <>
+            <Navbar.Text className="me-3">
+              <span className="badge bg-success me-2">Connected</span>
+              <strong>{truncateAddress(account)}</strong>
+              {siweSession?.isHolder && <span className="badge bg-primary ms-2">Holder</span>}
+            </Navbar.Text>
+            {!siweSession && (
+              <Button
+                variant="outline-primary"
+                onClick={onSignIn}
+                size="sm"
+                className="me-2"
+              >
+                Sign In
+              </Button>
+            )}
+            <Button
+              variant="outline-secondary"
+              onClick={disconnectWallet}
+              size="sm"
+            >
+              Disconnect
+            </Button>
+          </>
         ) : (
           <Button
             variant="outline-primary"
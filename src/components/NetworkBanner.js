@@ -0,0 +1,58 @@
+/**
+ * @title NetworkBanner Component - Wrong network warning
+ * @dev Shown when the wallet is on a chain without an NFT deployment in config.json
+ *
+ * Props:
+ * @param chainId - The wallet's current chain ID
+ * @param ethereum - The connected wallet's EIP-1193 provider
+ */
+
+// React hooks for state management
+import { useState } from 'react';
+
+// Bootstrap components for the banner UI
+import Alert from 'react-bootstrap/Alert';
+import Button from 'react-bootstrap/Button';
+
+// Network lookups and switching
+import { SUPPORTED_CHAIN_IDS, getNetworkConfig, switchNetwork } from '../utils/networks';
+
+/**
+ * @dev NetworkBanner component that offers to switch to each supported network
+ * @param props Object containing the current chain ID and wallet provider
+ * @return JSX element representing the wrong network banner
+ */
+const NetworkBanner = ({ chainId, ethereum }) => {
+  const [error, setError] = useState(null)
+
+  const switchHandler = async (targetChainId) => {
+    setError(null)
+
+    try {
+      // The wallet fires chainChanged on success, which reloads the app state
+      await switchNetwork(ethereum, targetChainId)
+    } catch (error) {
+      console.error('Error switching network:', error)
+      setError(error.code === 4001 ? 'Network switch rejected' : 'Unable to switch network. Please switch manually in your wallet.')
+    }
+  }
+
+  return (
+    <Alert variant="warning" className="text-center my-4">
+      <Alert.Heading>Wrong network</Alert.Heading>
+      <p>
+        Your wallet is connected to chain {chainId}, where Dapp Punks isn't deployed.
+      </p>
+      <div className="d-flex justify-content-center gap-2">
+        {SUPPORTED_CHAIN_IDS.map(supportedChainId => (
+          <Button key={supportedChainId} variant="warning" onClick={() => switchHandler(supportedChainId)}>
+            Switch to {getNetworkConfig(supportedChainId).name}
+          </Button>
+        ))}
+      </div>
+      {error && <p className="text-danger mt-3 mb-0">{error}</p>}
+    </Alert>
+  )
+}
+
+export default NetworkBanner;
@@ -0,0 +1,134 @@
+/**
+ * @title Notifications Component - Toasts for messages and transaction status
+ * @dev Provides notify() and trackTransaction() to every component through React context
+ *
+ * Features:
+ * - Non-blocking toasts in place of window.alert
+ * - Transactions move through pending -> confirmed -> failed in a single toast
+ * - Block explorer link for each transaction on networks that have one
+ * - Contract revert reasons decoded from the error data
+ *
+ * Usage:
+ *   const { notify, trackTransaction } = useNotifications()
+ *   const receipt = await trackTransaction('Mint 2 NFTs', () => nft.connect(signer).mint(2, { value }))
+ */
+
+// React hooks and context
+import { createContext, useCallback, useContext, useMemo, useRef, useState } from 'react'
+
+// Bootstrap toast components
+import { Toast, ToastContainer, Spinner } from 'react-bootstrap'
+
+// Error decoding and explorer links
+import { getErrorMessage, getExplorerTxUrl } from '../utils/transactions'
+
+// How long finished notifications stay on screen, in milliseconds
+const AUTOHIDE_DELAY = 8000
+
+// Toast header colour and title for each state
+const STATES = {
+  pending: { bg: 'light', title: 'Pending' },
+  confirmed: { bg: 'success', title: 'Confirmed' },
+  failed: { bg: 'danger', title: 'Failed' },
+  info: { bg: 'info', title: 'Notice' },
+  warning: { bg: 'warning', title: 'Warning' }
+}
+
+const NotificationsContext = createContext(null)
+
+/**
+ * @dev Returns notify() and trackTransaction() from the nearest NotificationProvider
+ * @return Object with the notification functions
+ */
+export const useNotifications = () => useContext(NotificationsContext)
+
+/**
+ * @dev NotificationProvider component that renders the toasts for everything inside it
+ * @param props Object containing the children to wrap
+ * @return JSX element with the children and the toast stack
+ */
+const NotificationProvider = ({ children }) => {
+  // Notifications as { id, state, label, message, url }
+  const [notifications, setNotifications] = useState([])
+  const nextId = useRef(0)
+
+  const update = useCallback((id, changes) => {
+    setNotifications(current => current.map(notification => (
+      notification.id === id ? { ...notification, ...changes } : notification
+    )))
+  }, [])
+
+  const dismiss = useCallback((id) => {
+    setNotifications(current => current.filter(notification => notification.id !== id))
+  }, [])
+
+  /**
+   * @dev Shows a message
+   * @param state 'info', 'warning', 'failed' or 'confirmed'
+   * @param label Short title for the toast
+   * @param message Optional detail text
+   * @return The notification ID
+   */
+  const notify = useCallback((state, label, message = '') => {
+    const id = nextId.current++
+    setNotifications(current => [...current, { id, state, label, message, url: null }])
+    return id
+  }, [])
+
+  /**
+   * @dev Sends a transaction and follows it until it's mined
+   * @param label What the transaction does, e.g. 'Mint 2 NFTs'
+   * @param send Function that sends the transaction and returns ethers' TransactionResponse
+   * @return The receipt once confirmed, or null if it was rejected or reverted
+   */
+  const trackTransaction = useCallback(async (label, send) => {
+    const id = notify('pending', label, 'Confirm the transaction in your wallet')
+
+    try {
+      const transaction = await send()
+      update(id, {
+        message: 'Waiting for the transaction to be mined',
+        url: getExplorerTxUrl(transaction.chainId, transaction.hash)
+      })
+
+      const receipt = await transaction.wait()
+      update(id, { state: 'confirmed', message: '' })
+      return receipt
+    } catch (error) {
+      console.error(`${label} failed:`, error)
+      update(id, { state: 'failed', message: getErrorMessage(error) })
+      return null
+    }
+  }, [notify, update])
+
+  const value = useMemo(() => ({ notify, trackTransaction }), [notify, trackTransaction])
+
+  return (
+    <NotificationsContext.Provider value={value}>
+      {children}
+
+      <ToastContainer position='bottom-end' className='p-3 position-fixed'>
+        {notifications.map(({ id, state, label, message, url }) => (
+          <Toast
+            key={id}
+            onClose={() => dismiss(id)}
+            autohide={state !== 'pending'}
+            delay={AUTOHIDE_DELAY}
+          >
+            <Toast.Header className={`bg-${STATES[state].bg} ${state === 'pending' ? '' : 'text-white'}`}>
+              {state === 'pending' && <Spinner animation='border' size='sm' className='me-2' />}
+              <strong className='me-auto'>{STATES[state].title}</strong>
+            </Toast.Header>
+            <Toast.Body>
+              <div><strong>{label}</strong></div>
+              {message && <div className='text-break'>{message}</div>}
+              {url && <a href={url} target='_blank' rel='noopener noreferrer'>View on block explorer</a>}
+            </Toast.Body>
+          </Toast>
+        ))}
+      </ToastContainer>
+    </NotificationsContext.Provider>
+  )
+}
+
+export default NotificationProvider;
@@ -0,0 +1,103 @@
+/**
+ * @title Perks Component - Holder-only content
+ * @dev Renders the perks from the SIWE verifier, only for a signed-in session that holds a Dapp Punk
+ *
+ * Props:
+ * @param account - Currently connected wallet address
+ * @param session - SIWE session as { address, chainId, isHolder }, or null when signed out
+ * @param onSignIn - Starts the Sign-In with Ethereum flow
+ * @param connectWallet - Opens the wallet selection modal
+ */
+
+// React hooks for state management and side effects
+import { useEffect, useState } from 'react'
+
+// Bootstrap components for the perks UI
+import { Card, Button, Alert, Spinner } from 'react-bootstrap'
+
+// Verifier API
+import { getPerks } from '../utils/siwe'
+
+/**
+ * @dev Perks component that gates the holder content
+ * @param props Object containing the account, session and sign-in handlers
+ * @return JSX element representing the perks page
+ */
+const Perks = ({ account, session, onSignIn, connectWallet }) => {
+  const [perks, setPerks] = useState(null)
+  const [error, setError] = useState(null)
+
+  const isSignedIn = session !== null && session.address === account
+  const isHolder = isSignedIn && session.isHolder
+
+  // Load the content whenever the holder check passes - the verifier checks balanceOf again
+  useEffect(() => {
+    setPerks(null)
+    setError(null)
+    if (!isHolder) return
+
+    let cancelled = false
+
+    getPerks()
+      .then(({ perks }) => { if (!cancelled) setPerks(perks) })
+      .catch(error => { if (!cancelled) setError(error.message) })
+
+    return () => { cancelled = true }
+  }, [isHolder])
+
+  if (!account) {
+    return (
+      <div className='text-center my-5'>
+        <h4 className='mb-3'>Holder Perks</h4>
+        <p className='text-muted'>Connect the wallet holding your Dapp Punk to see the perks.</p>
+        <Button onClick={connectWallet}>Connect Wallet</Button>
+      </div>
+    )
+  }
+
+  if (!isSignedIn) {
+    return (
+      <div className='text-center my-5'>
+        <h4 className='mb-3'>Holder Perks</h4>
+        <p className='text-muted'>Sign in with Ethereum to prove you hold a Dapp Punk. Signing is free and sends no transaction.</p>
+        <Button onClick={onSignIn}>Sign In with Ethereum</Button>
+      </div>
+    )
+  }
+
+  if (!isHolder) {
+    return (
+      <Alert variant='warning' className='text-center my-5'>
+        Perks are for Dapp Punk holders only. Mint or receive a Dapp Punk and this page unlocks automatically.
+      </Alert>
+    )
+  }
+
+  return (
+    <div className='my-4'>
+      <h4 className='text-center mb-4'>Holder Perks</h4>
+
+      {error && <Alert variant='danger'>{error}</Alert>}
+
+      {perks === null && !error ? (
+        <div className='text-center'><Spinner animation='border' /></div>
+      ) : (
+        <div className='d-flex flex-wrap justify-content-center gap-3'>
+          {(perks || []).map(perk => (
+            <Card key={perk.title} style={{ width: '18rem' }}>
+              <Card.Body>
+                <Card.Title>{perk.title}</Card.Title>
+                <Card.Text>{perk.description}</Card.Text>
+                {perk.url && (
+                  <Card.Link href={perk.url} target='_blank' rel='noopener noreferrer'>Open</Card.Link>
+                )}
+              </Card.Body>
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Perks;
@@ -0,0 +1,95 @@
+/**
+ * @title SaleStatus Component - What's happening with the sale right now
+ * @dev Renders the countdown, progress bar or sold out message for the current sale state
+ *
+ * Props:
+ * @param saleState - One of 'upcoming', 'presale', 'live', 'paused' or 'soldout' (see utils/sale.js)
+ * @param allowMintingOn - Public mint start, in seconds
+ * @param allowPresaleMintingOn - Presale start in seconds, 0 when there's no presale
+ * @param totalSupply - Current number of minted NFTs
+ * @param maxSupply - Maximum number of NFTs that can be minted
+ * @param contractUrl - Block explorer page for the contract, or null
+ * @param onBrowse - Opens the collection explorer
+ * @param onComplete - Called when the countdown reaches zero, so the sale state can move on
+ */
+
+// Bootstrap components for the progress bar and links
+import { ProgressBar, Button } from 'react-bootstrap'
+
+// Third-party component for countdown timer display
+import Countdown from 'react-countdown'
+
+/**
+ * @dev SaleStatus component that renders the current sale state
+ * @param props Object containing the sale state, schedule, supply and callbacks
+ * @return JSX element representing the sale status
+ */
+const SaleStatus = ({
+  saleState,
+  allowMintingOn,
+  allowPresaleMintingOn,
+  totalSupply,
+  maxSupply,
+  contractUrl,
+  onBrowse,
+  onComplete
+}) => {
+  const minted = Number(totalSupply)
+  const total = Number(maxSupply)
+
+  const progress = (
+    <ProgressBar
+      now={total > 0 ? (minted / total) * 100 : 0}
+      label={`${minted} / ${total}`}
+      variant={saleState === 'soldout' ? 'success' : 'primary'}
+      className='my-3'
+      style={{ height: '1.5rem' }}
+    />
+  )
+
+  if (saleState === 'soldout') {
+    return (
+      <div className='my-4 text-center'>
+        <h2>Sold Out</h2>
+        {progress}
+        <p className='text-muted'>All {total} Dapp Punks have been minted</p>
+        <Button variant='primary' onClick={onBrowse}>Browse the Collection</Button>
+        {contractUrl && (
+          <div className='mt-2'>
+            <a href={contractUrl} target='_blank' rel='noopener noreferrer'>View contract on block explorer</a>
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  if (saleState === 'upcoming') {
+    // Count down to whichever sale opens first
+    const hasPresale = allowPresaleMintingOn !== 0 && allowPresaleMintingOn < allowMintingOn
+    const opensAt = hasPresale ? allowPresaleMintingOn : allowMintingOn
+
+    return (
+      <div className='my-4 text-center'>
+        <p className='mb-1 text-muted'>{hasPresale ? 'Allowlist presale opens in' : 'Minting opens in'}</p>
+        {/* Keyed by date so the countdown restarts when the owner moves it */}
+        <Countdown key={opensAt} date={opensAt * 1000} className='h2' onComplete={onComplete} />
+      </div>
+    )
+  }
+
+  return (
+    <div className='my-4 text-center'>
+      {saleState === 'presale' && (
+        <>
+          <p className='mb-1 text-muted'>Public mint opens in</p>
+          <Countdown key={allowMintingOn} date={allowMintingOn * 1000} className='h4' onComplete={onComplete} />
+        </>
+      )}
+      {saleState === 'paused' && <h4 className='text-danger'>Minting Paused</h4>}
+      {saleState === 'live' && <h4>Minting Live</h4>}
+      {progress}
+    </div>
+  )
+}
+
+export default SaleStatus;
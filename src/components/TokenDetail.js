@@ -0,0 +1,108 @@
+/**
+ * @title TokenDetail Component - NFT detail view
+ * @dev Modal showing a token's full image, metadata, traits and rarity
+ *
+ * Features:
+ * - Full-size image, description and edition from the token metadata
+ * - Every trait with how many punks share it and its rarity score
+ * - Overall rarity score and rank from the generated rarity table
+ *
+ * Props:
+ * @param tokenId - The token ID to show, or null to hide the modal
+ * @param metadata - Metadata from loadTokenMetadata (null when it failed to load)
+ * @param onHide - Called when the modal is closed
+ */
+
+// Bootstrap components for the modal and trait table
+import Modal from 'react-bootstrap/Modal';
+import Table from 'react-bootstrap/Table';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+
+// Token image with gateway fallback
+import NFTImage from './NFTImage';
+
+// Rarity lookups into the table generated by scripts/rarity.js
+import { getTraitRarity, getTokenRarity } from '../utils/rarity';
+
+/**
+ * @dev TokenDetail component that displays one NFT in detail
+ * @param props Object containing the token ID, its metadata and the close handler
+ * @return JSX element representing the detail modal
+ */
+const TokenDetail = ({ tokenId, metadata, onHide }) => {
+  const attributes = metadata?.attributes || []
+
+  // Placeholder metadata has no traits, so rarity is only shown once a token is revealed
+  const tokenRarity = getTokenRarity(attributes)
+
+  return (
+    <Modal show={tokenId !== null} onHide={onHide} size="lg" centered>
+      <Modal.Header closeButton>
+        <Modal.Title>{metadata?.name || `Dapp Punk #${tokenId}`}</Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        <Row>
+          <Col md={5} className='text-center mb-3'>
+            <NFTImage
+              metadata={metadata}
+              alt={metadata?.name || `Dapp Punk #${tokenId}`}
+              className='img-fluid rounded'
+            />
+          </Col>
+
+          <Col md={7}>
+            {metadata?.description && <p>{metadata.description}</p>}
+
+            <p className='mb-1'><strong>Token ID:</strong> {tokenId}</p>
+            {metadata?.edition !== undefined && (
+              <p className='mb-1'><strong>Edition:</strong> {metadata.edition}</p>
+            )}
+
+            {tokenRarity ? (
+              <p className='mb-3'>
+                <strong>Rarity Score:</strong> {tokenRarity.score.toFixed(2)}
+                <span className='badge bg-primary ms-2'>Rank #{tokenRarity.rank} of {tokenRarity.total}</span>
+              </p>
+            ) : (
+              <p className='mb-3 text-muted'>Rarity will be available once this punk is revealed</p>
+            )}
+
+            {attributes.length > 0 && (
+              <Table size="sm" striped>
+                <thead>
+                  <tr>
+                    <th>Trait</th>
+                    <th>Value</th>
+                    <th>Rarity</th>
+                    <th>Score</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {attributes.map(({ trait_type, value }) => {
+                    const traitRarity = getTraitRarity(trait_type, value)
+                    return (
+                      <tr key={trait_type}>
+                        <td>{trait_type}</td>
+                        <td>{value}</td>
+                        <td>
+                          {traitRarity
+                            ? `${traitRarity.percentage.toFixed(0)}% (${traitRarity.count} of ${traitRarity.total})`
+                            : '-'}
+                        </td>
+                        <td>{traitRarity ? traitRarity.score.toFixed(2) : '-'}</td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </Table>
+            )}
+          </Col>
+        </Row>
+      </Modal.Body>
+    </Modal>
+  )
+}
+
+export default TokenDetail;
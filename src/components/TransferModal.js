@@ -0,0 +1,211 @@
+/**
+ * @title TransferModal Component - Send an NFT to another address
+ * @dev Transfers an owned token with safeTransferFrom on the NFT contract
+ *
+ * Features:
+ * - Validates the recipient address, resolving ENS names where the network supports them
+ * - Warns before sending to a contract that may not implement IERC721Receiver
+ * - Shows pending/confirmed transaction status, with failures reported through notifications
+ *
+ * Props:
+ * @param tokenId - The token ID to send, or null to hide the modal
+ * @param provider - Ethers.js provider for blockchain connection
+ * @param nft - NFT contract instance
+ * @param account - Currently connected wallet address (the sender)
+ * @param onHide - Called when the modal is closed
+ */
+
+// React hooks for state management and side effects
+import { useEffect, useState } from 'react';
+
+// Bootstrap components for the modal and form UI
+import Modal from 'react-bootstrap/Modal';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import Alert from 'react-bootstrap/Alert';
+import Spinner from 'react-bootstrap/Spinner';
+
+// Ethers.js utilities for address validation
+import { ethers } from 'ethers'
+
+// Toasts for transaction status
+import { useNotifications } from './Notifications'
+
+/**
+ * @dev Resolves a recipient entered by the user to a checksummed address
+ * @param provider Ethers.js provider used for ENS lookups
+ * @param recipient Address or ENS name
+ * @return The checksummed address
+ */
+const resolveRecipient = async (provider, recipient) => {
+  if (ethers.utils.isAddress(recipient)) {
+    return ethers.utils.getAddress(recipient)
+  }
+
+  if (!recipient.includes('.')) {
+    throw new Error('Enter a valid address or ENS name')
+  }
+
+  let address
+  try {
+    address = await provider.resolveName(recipient)
+  } catch (error) {
+    // ethers throws when the connected network has no ENS registry
+    throw new Error('ENS names are not supported on this network - enter an address instead')
+  }
+
+  if (!address) {
+    throw new Error(`${recipient} does not resolve to an address`)
+  }
+
+  return address
+}
+
+/**
+ * @dev TransferModal component that sends one NFT
+ * @param props Object containing the token ID, provider, contract, sender and close handler
+ * @return JSX element representing the transfer modal
+ */
+const TransferModal = ({ tokenId, provider, nft, account, onHide }) => {
+  const { trackTransaction } = useNotifications()
+
+  const [recipient, setRecipient] = useState('')
+  const [error, setError] = useState(null)
+
+  // Resolved address pending confirmation because it's a contract
+  const [contractWarning, setContractWarning] = useState(null)
+
+  // Transaction status: null, 'pending' or 'confirmed'
+  const [status, setStatus] = useState(null)
+  const [txHash, setTxHash] = useState(null)
+  const [isValidating, setIsValidating] = useState(false)
+
+  // Reset the form whenever a different token is selected
+  useEffect(() => {
+    setRecipient('')
+    setError(null)
+    setContractWarning(null)
+    setStatus(null)
+    setTxHash(null)
+  }, [tokenId])
+
+  // Sends the token with safeTransferFrom and tracks the transaction
+  const sendTransfer = async (to) => {
+    setStatus('pending')
+
+    const signer = await provider.getSigner()
+    const receipt = await trackTransaction(`Send Dapp Punk #${tokenId}`, async () => {
+      // safeTransferFrom is overloaded, so the signature has to be spelled out
+      const transaction = await nft.connect(signer)['safeTransferFrom(address,address,uint256)'](account, to, tokenId)
+      setTxHash(transaction.hash)
+      return transaction
+    })
+
+    if (receipt) {
+      setStatus('confirmed')
+    } else {
+      // The notification shows why; leave the form open to try another recipient
+      setStatus(null)
+      setError('Transfer failed. The recipient may not be able to receive NFTs.')
+    }
+  }
+
+  // Validates the recipient, warns about contracts, then sends
+  const transferHandler = async (e) => {
+    e.preventDefault()
+    setError(null)
+
+    // Second submit after the contract warning confirms the send
+    if (contractWarning) {
+      const to = contractWarning
+      setContractWarning(null)
+      await sendTransfer(to)
+      return
+    }
+
+    setIsValidating(true)
+
+    try {
+      const to = await resolveRecipient(provider, recipient.trim())
+
+      if (to === account) {
+        throw new Error('You already own this NFT')
+      }
+
+      // Contracts need onERC721Received or safeTransferFrom will revert
+      const code = await provider.getCode(to)
+      setIsValidating(false)
+
+      if (code !== '0x') {
+        setContractWarning(to)
+        return
+      }
+
+      await sendTransfer(to)
+    } catch (error) {
+      setIsValidating(false)
+      setError(error.message)
+    }
+  }
+
+  return (
+    <Modal show={tokenId !== null} onHide={onHide} centered>
+      <Modal.Header closeButton>
+        <Modal.Title>Send Dapp Punk #{tokenId}</Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        {status === 'confirmed' ? (
+          <Alert variant="success" className="mb-0">
+            Dapp Punk #{tokenId} was sent successfully!
+            <div><small className="text-break">Transaction: {txHash}</small></div>
+          </Alert>
+        ) : status === 'pending' ? (
+          <div className="text-center">
+            <Spinner animation="border" />
+            <p className="mt-3 mb-1">Sending your NFT...</p>
+            <small className="text-muted text-break">
+              {txHash ? `Transaction: ${txHash}` : 'Please confirm the transaction in your wallet'}
+            </small>
+          </div>
+        ) : (
+          <Form onSubmit={transferHandler}>
+            <Form.Group className="mb-3">
+              <Form.Label>Recipient</Form.Label>
+              <Form.Control
+                type="text"
+                placeholder="0x... or name.eth"
+                value={recipient}
+                onChange={(e) => {
+                  setRecipient(e.target.value)
+                  setContractWarning(null)
+                }}
+                autoFocus
+              />
+            </Form.Group>
+
+            {error && <Alert variant="danger">{error}</Alert>}
+
+            {contractWarning && (
+              <Alert variant="warning">
+                {contractWarning} is a contract. If it doesn't implement IERC721Receiver
+                the transfer will fail, and NFTs sent to contracts can't always be recovered.
+              </Alert>
+            )}
+
+            <Button
+              variant={contractWarning ? 'warning' : 'primary'}
+              type="submit"
+              style={{ width: '100%' }}
+              disabled={!recipient.trim() || isValidating}
+            >
+              {isValidating ? 'Checking recipient...' : contractWarning ? 'Send Anyway' : 'Send'}
+            </Button>
+          </Form>
+        )}
+      </Modal.Body>
+    </Modal>
+  )
+}
+
+export default TransferModal;
@@ -0,0 +1,56 @@
+/**
+ * @title WalletModal Component - Choose a wallet to connect
+ * @dev Lists every injected wallet discovered through EIP-6963, plus WalletConnect when configured
+ *
+ * Props:
+ * @param show - Whether the modal is open
+ * @param wallets - Wallets to offer, as { id, name, icon, provider } (see utils/wallets.js)
+ * @param lastWalletId - ID of the wallet used last time, marked in the list
+ * @param onSelect - Called with the chosen wallet
+ * @param onHide - Called when the modal is closed
+ */
+
+// Bootstrap components for the modal and wallet list
+import { Modal, ListGroup } from 'react-bootstrap'
+
+/**
+ * @dev WalletModal component that renders the wallet choices
+ * @param props Object containing the wallets, last wallet ID and handlers
+ * @return JSX element representing the wallet selection modal
+ */
+const WalletModal = ({ show, wallets, lastWalletId, onSelect, onHide }) => {
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Modal.Header closeButton>
+        <Modal.Title>Connect a Wallet</Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        {wallets.length > 0 ? (
+          <ListGroup>
+            {wallets.map(wallet => (
+              <ListGroup.Item
+                key={wallet.id}
+                action
+                onClick={() => onSelect(wallet)}
+                className='d-flex align-items-center'
+              >
+                {wallet.icon && <img src={wallet.icon} alt='' width='32' height='32' className='me-3' />}
+                <span className='me-auto'>{wallet.name}</span>
+                {wallet.id === lastWalletId && <small className='text-muted'>Last used</small>}
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        ) : (
+          <p className='mb-0 text-center'>
+            No wallet found. Install a browser wallet such as{' '}
+            <a href="https://metamask.io/" target="_blank" rel="noopener noreferrer">MetaMask</a>{' '}
+            to mint.
+          </p>
+        )}
+      </Modal.Body>
+    </Modal>
+  )
+}
+
+export default WalletModal;
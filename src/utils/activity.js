@@ -0,0 +1,117 @@
+/**
+ * @title Activity Helpers - Mint and transfer history from contract logs
+ * @dev Reads event logs in block ranges, groups Mint/Transfer logs by transaction and formats the mint history as CSV
+ */
+
+// Ethers.js constants and formatting for addresses and ETH amounts
+import { ethers } from 'ethers'
+
+// Blocks per eth_getLogs request - public RPCs reject or time out on larger ranges
+export const LOG_BLOCK_RANGE = 5000
+
+/**
+ * @dev Reads a contract's logs from fromBlock to the latest block, one block range at a time
+ * @param contract The ethers.js contract to query
+ * @param filter The event filter, e.g. contract.filters.Mint()
+ * @param fromBlock The first block to read, normally the contract's deployment block
+ * @param blockRange Maximum number of blocks per request
+ * @return Array of ethers.js event objects, oldest first
+ */
+export const queryFilterInRanges = async (contract, filter, fromBlock, blockRange = LOG_BLOCK_RANGE) => {
+  // Scanning from block 0 takes thousands of requests on a real chain
+  if (fromBlock === undefined || fromBlock === null) {
+    throw new Error('No deploymentBlock configured for this network in src/config.json')
+  }
+
+  const latestBlock = await contract.provider.getBlockNumber()
+  const events = []
+
+  for (let start = fromBlock; start <= latestBlock; start += blockRange) {
+    const end = Math.min(start + blockRange - 1, latestBlock)
+    events.push(...await contract.queryFilter(filter, start, end))
+  }
+
+  return events
+}
+
+/**
+ * @dev Returns a unique key for an event log so a log delivered twice is only kept once
+ * @param event The ethers.js event object
+ * @return The log's transaction hash and index
+ */
+export const eventKey = (event) => `${event.transactionHash}:${event.logIndex}`
+
+/**
+ * @dev Builds activity entries from raw logs, newest first
+ *
+ * A mint transaction emits one Transfer from the zero address per token followed by a single
+ * Mint(amount, minter), so mints are grouped by transaction to list all of their token IDs.
+ * Every other Transfer is its own entry.
+ *
+ * @param mintEvents Mint event logs
+ * @param transferEvents Transfer event logs
+ * @return Array of { type, from, to, tokenIds, amount, transactionHash, blockNumber, logIndex }
+ */
+export const buildActivity = (mintEvents, transferEvents) => {
+  // Token IDs minted in each transaction, from the zero-address transfers
+  const mintedTokenIds = {}
+  const entries = []
+
+  transferEvents.forEach(event => {
+    const { from, to, tokenId } = event.args
+
+    if (from === ethers.constants.AddressZero) {
+      mintedTokenIds[event.transactionHash] = [...(mintedTokenIds[event.transactionHash] || []), tokenId.toString()]
+      return
+    }
+
+    entries.push({
+      type: 'transfer',
+      from,
+      to,
+      tokenIds: [tokenId.toString()],
+      amount: 1,
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex
+    })
+  })
+
+  mintEvents.forEach(event => {
+    entries.push({
+      type: 'mint',
+      from: ethers.constants.AddressZero,
+      to: event.args.minter,
+      tokenIds: (mintedTokenIds[event.transactionHash] || []).sort((a, b) => a - b),
+      amount: event.args.amount.toNumber(),
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex
+    })
+  })
+
+  return entries.sort((a, b) => (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex))
+}
+
+/**
+ * @dev Formats mint entries as CSV for accounting, oldest first
+ * @param mints Mint entries from buildActivity
+ * @param blockTimes Block timestamps (seconds) keyed by block number
+ * @param values ETH paid (BigNumber) keyed by transaction hash
+ * @return The CSV text, including a header row
+ */
+export const mintsToCSV = (mints, blockTimes, values) => {
+  const header = ['date', 'minter', 'amount', 'token_ids', 'eth_paid', 'transaction_hash', 'block_number']
+
+  const rows = [...mints].reverse().map(mint => [
+    blockTimes[mint.blockNumber] ? new Date(blockTimes[mint.blockNumber] * 1000).toISOString() : '',
+    mint.to,
+    mint.amount,
+    mint.tokenIds.join(' '),
+    values[mint.transactionHash] ? ethers.utils.formatEther(values[mint.transactionHash]) : '',
+    mint.transactionHash,
+    mint.blockNumber
+  ])
+
+  return [header, ...rows].map(row => row.join(',')).join('\n') + '\n'
+}
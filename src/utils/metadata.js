@@ -0,0 +1,182 @@
+/**
+ * @title Metadata Loader - Token metadata from on-chain tokenURI
+ * @dev Resolves a token's metadata from whatever nft.tokenURI() returns
+ *
+ * Features:
+ * - Resolves ipfs:// URIs through the gateways listed in gateways.json, falling back in order
+ * - Decodes data: URIs returned by the contract's on-chain metadata mode without a request
+ * - Fetches the metadata JSON (name, description, image, edition, attributes)
+ * - Caches metadata per URI in memory, and in localStorage for immutable ipfs:// content
+ */
+
+// Ordered list of IPFS gateways to try
+import gateways from '../gateways.json'
+
+// How long to wait on a single gateway before trying the next one
+const FETCH_TIMEOUT_MS = 10000
+
+// Prefix for metadata cached in localStorage
+const STORAGE_PREFIX = 'dapp-punks:metadata:'
+
+// In-memory cache of metadata promises keyed by metadata URI
+const cache = new Map()
+
+/**
+ * @dev Returns every HTTP URL a URI can be fetched from, in fallback order
+ * ipfs:// URIs expand to one URL per gateway, anything else is returned as-is
+ * @param uri The URI to resolve (e.g. 'ipfs://Qm.../1.json')
+ * @return Array of HTTP URLs
+ */
+export const resolveURIs = (uri) => {
+  if (!uri) return []
+
+  if (uri.startsWith('ipfs://')) {
+    // Strip the scheme and an optional 'ipfs/' prefix (ipfs://ipfs/Qm...)
+    const path = uri.slice('ipfs://'.length).replace(/^ipfs\//, '')
+    return gateways.ipfs.map(gateway => `${gateway}${path}`)
+  }
+
+  return [uri]
+}
+
+/**
+ * @dev Decodes the content of a data: URI (base64 or percent-encoded)
+ * @param uri The data URI (e.g. 'data:application/json;base64,...')
+ * @return The decoded content as a string
+ */
+export const decodeDataURI = (uri) => {
+  const comma = uri.indexOf(',')
+  if (comma === -1) throw new Error('Malformed data URI')
+
+  const header = uri.slice(0, comma)
+  const data = uri.slice(comma + 1)
+
+  if (!header.endsWith(';base64')) return decodeURIComponent(data)
+
+  // atob returns one character per byte, so decode the bytes as UTF-8 for non-ASCII traits
+  const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0))
+  return new TextDecoder().decode(bytes)
+}
+
+/**
+ * @dev Fetches a URL, aborting if it takes longer than FETCH_TIMEOUT_MS
+ * @param url The URL to fetch
+ * @return The parsed JSON body
+ */
+const fetchWithTimeout = async (url) => {
+  const controller = new AbortController()
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS)
+
+  try {
+    const response = await fetch(url, { signal: controller.signal })
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${url}`)
+    }
+    return await response.json()
+  } finally {
+    clearTimeout(timeout)
+  }
+}
+
+/**
+ * @dev Fetches JSON from a URI, trying each gateway until one succeeds
+ * @param uri The URI to fetch
+ * @return The parsed JSON document
+ */
+export const fetchJSON = async (uri) => {
+  if (uri.startsWith('data:')) return JSON.parse(decodeDataURI(uri))
+
+  const urls = resolveURIs(uri)
+  let lastError = new Error(`Cannot resolve URI: ${uri}`)
+
+  for (const url of urls) {
+    try {
+      return await fetchWithTimeout(url)
+    } catch (error) {
+      lastError = error
+    }
+  }
+
+  throw lastError
+}
+
+/**
+ * @dev Reads metadata previously stored in localStorage
+ * @param uri The metadata URI
+ * @return The cached metadata or null
+ */
+const readStored = (uri) => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_PREFIX + uri)
+    return stored ? JSON.parse(stored) : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * @dev Stores metadata in localStorage, ignoring quota or privacy-mode errors
+ * @param uri The metadata URI
+ * @param metadata The metadata to store
+ */
+const writeStored = (uri, metadata) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + uri, JSON.stringify(metadata))
+  } catch (error) {
+    // Caching is best effort
+  }
+}
+
+/**
+ * @dev Fetches and caches the metadata document at a URI
+ * Only ipfs:// content is persisted because it can never change
+ * @param uri The metadata URI
+ * @return Metadata with name, description, image, edition and attributes
+ */
+export const loadMetadata = (uri) => {
+  if (cache.has(uri)) return cache.get(uri)
+
+  const isImmutable = uri.startsWith('ipfs://')
+
+  const promise = (async () => {
+    const stored = isImmutable ? readStored(uri) : null
+    if (stored) return stored
+
+    const json = await fetchJSON(uri)
+    const metadata = {
+      name: json.name || '',
+      description: json.description || '',
+      image: json.image || '',
+      edition: json.edition,
+      attributes: Array.isArray(json.attributes) ? json.attributes : []
+    }
+
+    if (isImmutable) writeStored(uri, metadata)
+
+    return metadata
+  })()
+
+  // Drop failed lookups so they can be retried later
+  promise.catch(() => cache.delete(uri))
+
+  cache.set(uri, promise)
+  return promise
+}
+
+/**
+ * @dev Loads a token's metadata by asking the contract for its tokenURI
+ * @param nft NFT contract instance
+ * @param tokenId The token ID to load
+ * @return Metadata plus tokenId, tokenURI and the candidate image URLs
+ */
+export const loadTokenMetadata = async (nft, tokenId) => {
+  const tokenURI = await nft.tokenURI(tokenId)
+  const metadata = await loadMetadata(tokenURI)
+
+  return {
+    ...metadata,
+    tokenId: tokenId.toString(),
+    tokenURI,
+    imageURLs: resolveURIs(metadata.image)
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * @title Network Helpers - Chain selection driven by config.json
+ * @dev Looks up the contract deployment for a chainId and switches the wallet between networks
+ */
+
+// Ethers.js providers for read-only access
+import { ethers } from 'ethers'
+
+// Network configuration keyed by chainId
+import config from '../config.json';
+
+// Read-only providers keyed by chainId, shared so every component polls the same node once
+const readOnlyProviders = {}
+
+/**
+ * @dev Returns the config.json entry for a chain if the NFT contract is deployed there
+ * @param chainId The chain ID as a number or string
+ * @return The network config or null for unsupported chains
+ */
+export const getNetworkConfig = (chainId) => {
+  const network = config[chainId?.toString()]
+  return network && network.nft && network.nft.address ? network : null
+}
+
+/**
+ * @dev Chain IDs with a deployed NFT contract, in config.json order
+ */
+export const SUPPORTED_CHAIN_IDS = Object.keys(config)
+  .filter(chainId => getNetworkConfig(chainId))
+  .map(Number)
+
+/**
+ * @dev Chain used for read-only access and offered by the switch-network button
+ */
+export const DEFAULT_CHAIN_ID = SUPPORTED_CHAIN_IDS[0]
+
+/**
+ * @dev Returns a JsonRpcProvider for a network's rpcUrl, for reading the contract without a wallet
+ * @param chainId The chain ID (defaults to DEFAULT_CHAIN_ID)
+ * @return The provider, or null if the chain has no deployment or rpcUrl
+ */
+export const getReadOnlyProvider = (chainId = DEFAULT_CHAIN_ID) => {
+  const network = getNetworkConfig(chainId)
+  if (!network || !network.rpcUrl) return null
+
+  if (!readOnlyProviders[chainId]) {
+    // Passing the chainId skips ethers' network detection request
+    readOnlyProviders[chainId] = new ethers.providers.JsonRpcProvider(network.rpcUrl, Number(chainId))
+  }
+
+  return readOnlyProviders[chainId]
+}
+
+/**
+ * @dev Asks the wallet to switch to a supported chain, adding it first if the wallet doesn't know it
+ * @param ethereum The connected wallet's EIP-1193 provider
+ * @param chainId The chain ID to switch to
+ */
+export const switchNetwork = async (ethereum, chainId) => {
+  const network = getNetworkConfig(chainId)
+  const hexChainId = `0x${Number(chainId).toString(16)}`
+
+  try {
+    await ethereum.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId: hexChainId }]
+    })
+  } catch (error) {
+    // 4902: the wallet doesn't have this chain yet
+    if (error.code !== 4902 || !network) throw error
+
+    await ethereum.request({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId: hexChainId,
+        chainName: network.name,
+        rpcUrls: [network.rpcUrl],
+        nativeCurrency: network.nativeCurrency,
+        blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined
+      }]
+    })
+  }
+}
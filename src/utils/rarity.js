@@ -0,0 +1,63 @@
+/**
+ * @title Rarity Helpers - Lookups into the generated rarity table
+ * @dev Reads src/rarity.json, generated by scripts/rarity.js from the metadata/ directory
+ *
+ * The table has no per-token entries, so a token's score and rank are computed from its
+ * attributes - unrevealed tokens have none, and stay unranked until the reveal.
+ */
+
+// Trait counts and every token's score for the whole collection
+import rarity from '../rarity.json'
+
+/**
+ * @dev Returns how common a trait value is across the collection
+ * @param traitType The trait type (e.g. 'Hats and Hair')
+ * @param value The trait value (e.g. 'Mohawk')
+ * @return Object with count, total, percentage and score, or null for unknown traits
+ */
+export const getTraitRarity = (traitType, value) => {
+  const count = rarity.traits[traitType]?.[value]
+  if (!count) return null
+
+  return {
+    count,
+    total: rarity.total,
+    percentage: (count / rarity.total) * 100,
+    score: rarity.total / count
+  }
+}
+
+/**
+ * @dev Returns a token's overall rarity score and rank, computed from its revealed attributes
+ * @param attributes The token's metadata attributes as { trait_type, value }
+ * @return Object with score, rank and total, or null without attributes or with traits outside the table
+ */
+export const getTokenRarity = (attributes) => {
+  if (!attributes || attributes.length === 0) return null
+
+  let score = 0
+  for (const { trait_type, value } of attributes) {
+    const trait = getTraitRarity(trait_type, value)
+    if (!trait) return null
+    score += trait.score
+  }
+  score = Math.round(score * 100) / 100
+
+  // Rank 1 is the rarest; tokens with the same score share a rank
+  // (the margin absorbs floating point differences from summing in another order)
+  const rank = rarity.scores.filter(other => other > score + 0.005).length + 1
+
+  return { score, rank, total: rarity.total }
+}
+
+/**
+ * @dev Returns every trait type and its values, for building filters
+ * @return Object mapping trait type to an alphabetically sorted array of values
+ */
+export const getTraitValues = () => {
+  const values = {}
+  Object.entries(rarity.traits).forEach(([traitType, counts]) => {
+    values[traitType] = Object.keys(counts).sort()
+  })
+  return values
+}
@@ -0,0 +1,53 @@
+/**
+ * @title Sale Helpers - The sale state the UI is driven by
+ * @dev Derives the current phase of the sale from the contract's schedule, supply and pause flag
+ */
+
+// Longest delay setTimeout supports, in milliseconds (about 24.8 days)
+export const MAX_TIMEOUT = 2147483647
+
+/**
+ * @dev Sale states, in the order a sale normally moves through them
+ * - upcoming: before the presale (if any) or public mint opens
+ * - presale: allowlist minting, between allowPresaleMintingOn and allowMintingOn
+ * - live: public minting
+ * - paused: the owner has paused minting
+ * - soldout: totalSupply has reached maxSupply
+ */
+export const SALE_STATES = ['upcoming', 'presale', 'live', 'paused', 'soldout']
+
+/**
+ * @dev Whether a time falls in the presale window, matching NFT.isPresaleActive()
+ * @param now Time to check, in seconds
+ * @param allowPresaleMintingOn Presale start in seconds, 0 when there's no presale
+ * @param allowMintingOn Public mint start in seconds
+ * @return True during the presale
+ */
+export const isPresaleWindow = (now, allowPresaleMintingOn, allowMintingOn) => (
+  allowPresaleMintingOn !== 0 && now >= allowPresaleMintingOn && now < allowMintingOn
+)
+
+/**
+ * @dev Derives the sale state - sold out wins over paused, which wins over the schedule
+ * @param sale Object with now, allowMintingOn, allowPresaleMintingOn (seconds), totalSupply, maxSupply and isPaused
+ * @return One of SALE_STATES
+ */
+export const getSaleState = ({ now, allowMintingOn, allowPresaleMintingOn, totalSupply, maxSupply, isPaused }) => {
+  if (Number(maxSupply) > 0 && Number(totalSupply) >= Number(maxSupply)) return 'soldout'
+  if (isPaused) return 'paused'
+  if (isPresaleWindow(now, allowPresaleMintingOn, allowMintingOn)) return 'presale'
+  if (now >= allowMintingOn) return 'live'
+  return 'upcoming'
+}
+
+/**
+ * @dev Returns the next scheduled change of sale state
+ * @param now Current time in seconds
+ * @param allowPresaleMintingOn Presale start in seconds, 0 when there's no presale
+ * @param allowMintingOn Public mint start in seconds
+ * @return The time (seconds) of the next presale/public start, or null when both have passed
+ */
+export const getNextTransition = (now, allowPresaleMintingOn, allowMintingOn) => {
+  const upcoming = [allowPresaleMintingOn, allowMintingOn].filter(time => time > now)
+  return upcoming.length > 0 ? Math.min(...upcoming) : null
+}
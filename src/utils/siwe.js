@@ -0,0 +1,81 @@
+/**
+ * @title SIWE Helpers - Sign-In with Ethereum against the local verifier
+ * @dev Client side of server/index.js: builds and signs the EIP-4361 message and manages the session
+ *
+ * Requests go to /api, which the React dev server proxies to the verifier (see "proxy" in package.json).
+ * Set REACT_APP_SIWE_API_URL to talk to a verifier elsewhere.
+ */
+
+// EIP-4361 message formatting
+import { SiweMessage } from 'siwe'
+
+const API_URL = process.env.REACT_APP_SIWE_API_URL || ''
+
+/**
+ * @dev Calls the verifier, sending the session cookie
+ * @param path The API path, e.g. '/api/session'
+ * @param options fetch options
+ * @return The parsed JSON response
+ */
+const request = async (path, options = {}) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    ...options,
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' }
+  })
+
+  const body = await response.json()
+
+  if (!response.ok) {
+    const error = new Error(body.error || `Request failed with status ${response.status}`)
+    error.status = response.status
+    throw error
+  }
+
+  return body
+}
+
+/**
+ * @dev Signs in: fetches a nonce, asks the wallet to sign the SIWE message and sends it for verification
+ * @param signer Ethers.js signer for the connected account
+ * @param address The connected account
+ * @param chainId The wallet's chain ID
+ * @return The session as { address, chainId, isHolder }
+ */
+export const signIn = async (signer, address, chainId) => {
+  const { nonce } = await request('/api/nonce')
+
+  const message = new SiweMessage({
+    domain: window.location.host,
+    address,
+    statement: 'Sign in to Dapp Punks to access holder perks.',
+    uri: window.location.origin,
+    version: '1',
+    chainId,
+    nonce
+  }).prepareMessage()
+
+  const signature = await signer.signMessage(message)
+
+  return request('/api/verify', {
+    method: 'POST',
+    body: JSON.stringify({ message, signature })
+  })
+}
+
+/**
+ * @dev Returns the current session, with the holder check re-run by the verifier
+ * @return The session as { address, chainId, isHolder }, or { address: null } when signed out
+ */
+export const getSession = () => request('/api/session')
+
+/**
+ * @dev Ends the session
+ */
+export const signOut = () => request('/api/logout', { method: 'POST' })
+
+/**
+ * @dev Returns the holder-only perks
+ * @return Object with a perks array of { title, description, url }
+ */
+export const getPerks = () => request('/api/perks')
@@ -0,0 +1,117 @@
+/**
+ * @title Transaction Helpers - Readable errors and explorer links
+ * @dev Decodes contract revert reasons from the error data wallets and nodes attach to failed calls
+ */
+
+// Ethers.js ABI decoding
+import { ethers } from 'ethers'
+
+// Network configuration keyed by chainId
+import config from '../config.json';
+
+// Selectors of the two errors Solidity reverts with: Error(string) and Panic(uint256)
+const ERROR_SELECTOR = '0x08c379a0'
+const PANIC_SELECTOR = '0x4e487b71'
+
+// Panic codes the compiler inserts for failed checks
+const PANIC_REASONS = {
+  0x01: 'Assertion failed',
+  0x11: 'Arithmetic overflow or underflow',
+  0x12: 'Division by zero',
+  0x32: 'Array index out of bounds'
+}
+
+/**
+ * @dev Finds revert data in an error, wherever the wallet or provider nested it
+ *
+ * MetaMask, Hardhat and ethers.js each wrap the JSON-RPC error differently, e.g.
+ * error.data, error.error.data, error.error.data.originalError.data or a JSON body string.
+ *
+ * @param error The error thrown by a contract call or transaction
+ * @param depth Current nesting depth, to stop on circular references
+ * @return The hex revert data, or null if there is none
+ */
+const findRevertData = (error, depth = 0) => {
+  if (!error || depth > 6) return null
+
+  if (typeof error === 'string') {
+    return error.startsWith(ERROR_SELECTOR) || error.startsWith(PANIC_SELECTOR) ? error : null
+  }
+
+  if (typeof error !== 'object') return null
+
+  for (const key of ['data', 'error', 'originalError']) {
+    const data = findRevertData(error[key], depth + 1)
+    if (data) return data
+  }
+
+  // ethers' JsonRpcProvider keeps the raw response body as a string
+  if (typeof error.body === 'string') {
+    try {
+      return findRevertData(JSON.parse(error.body), depth + 1)
+    } catch (parseError) {
+      return null
+    }
+  }
+
+  return null
+}
+
+/**
+ * @dev Decodes Error(string) or Panic(uint256) revert data
+ * @param data The hex revert data
+ * @return The revert reason, or null if it can't be decoded
+ */
+export const decodeRevertData = (data) => {
+  try {
+    if (data.startsWith(ERROR_SELECTOR)) {
+      return ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`)[0]
+    }
+
+    if (data.startsWith(PANIC_SELECTOR)) {
+      const code = ethers.utils.defaultAbiCoder.decode(['uint256'], `0x${data.slice(10)}`)[0].toNumber()
+      return PANIC_REASONS[code] || `Panic (code 0x${code.toString(16)})`
+    }
+  } catch (error) {
+    // Truncated or malformed data - fall through to the error message
+  }
+
+  return null
+}
+
+/**
+ * @dev Turns a failed contract call or transaction into a message for the user
+ * @param error The error thrown by ethers.js or the wallet
+ * @return A readable reason, e.g. the contract's "Would exceed max supply"
+ */
+export const getErrorMessage = (error) => {
+  if (error?.code === 4001 || error?.code === 'ACTION_REJECTED') {
+    return 'Transaction rejected in your wallet'
+  }
+
+  const data = findRevertData(error)
+  const reason = data ? decodeRevertData(data) : null
+  if (reason) return reason
+
+  if (error?.code === 'INSUFFICIENT_FUNDS') {
+    return 'Insufficient funds to pay for this transaction'
+  }
+
+  // ethers fills in reason when the node returned a readable revert message
+  if (error?.reason) {
+    return error.reason.replace(/^execution reverted:?\s*/, '') || 'Transaction reverted'
+  }
+
+  return 'Transaction failed'
+}
+
+/**
+ * @dev Returns a block explorer link for a transaction
+ * @param chainId The chain the transaction was sent on
+ * @param hash The transaction hash
+ * @return The explorer URL, or null for networks without an explorer (e.g. Hardhat)
+ */
+export const getExplorerTxUrl = (chainId, hash) => {
+  const explorerUrl = config[chainId?.toString()]?.explorerUrl
+  return explorerUrl ? `${explorerUrl}/tx/${hash}` : null
+}
@@ -0,0 +1,129 @@
+/**
+ * @title Wallet Helpers - Discovering and connecting EIP-1193 wallets
+ * @dev Finds injected wallets through EIP-6963 announcements and connects through WalletConnect
+ *
+ * Every wallet is described as { id, name, icon, provider }, where provider is the wallet's
+ * EIP-1193 provider (null for WalletConnect until it's connected).
+ */
+
+// Network configuration for the chains WalletConnect may use
+import { SUPPORTED_CHAIN_IDS, getNetworkConfig } from './networks'
+
+// localStorage key for the last wallet used, so returning visitors reconnect to the same one
+const LAST_WALLET_KEY = 'dapp-punks:last-wallet'
+
+// WalletConnect Cloud project ID, from .env (REACT_APP_WALLETCONNECT_PROJECT_ID)
+const WALLETCONNECT_PROJECT_ID = process.env.REACT_APP_WALLETCONNECT_PROJECT_ID
+
+export const WALLETCONNECT_ID = 'walletconnect'
+const LEGACY_INJECTED_ID = 'injected'
+
+/**
+ * @dev WalletConnect entry for the wallet list, or null when no project ID is configured
+ */
+export const WALLETCONNECT_WALLET = WALLETCONNECT_PROJECT_ID
+  ? { id: WALLETCONNECT_ID, name: 'WalletConnect', icon: null, provider: null }
+  : null
+
+/**
+ * @dev Listens for injected wallets announcing themselves (EIP-6963)
+ * @param onWallet Called with each wallet as it's announced
+ * @return Function that stops listening
+ */
+export const discoverInjectedWallets = (onWallet) => {
+  const handleAnnounce = (event) => {
+    const { info, provider } = event.detail
+    onWallet({ id: info.rdns || info.uuid, name: info.name, icon: info.icon, provider })
+  }
+
+  window.addEventListener('eip6963:announceProvider', handleAnnounce)
+
+  // Ask wallets that loaded before us to announce again
+  window.dispatchEvent(new Event('eip6963:requestProvider'))
+
+  return () => window.removeEventListener('eip6963:announceProvider', handleAnnounce)
+}
+
+/**
+ * @dev Wallet entry for a window.ethereum that doesn't support EIP-6963
+ * @return The wallet, or null when nothing is injected
+ */
+export const getLegacyInjectedWallet = () => (
+  window.ethereum
+    ? { id: LEGACY_INJECTED_ID, name: window.ethereum.isMetaMask ? 'MetaMask' : 'Browser Wallet', icon: null, provider: window.ethereum }
+    : null
+)
+
+/**
+ * @dev Creates the WalletConnect provider, restoring the previous session if there is one
+ * @return The WalletConnect EIP-1193 provider
+ */
+export const initWalletConnect = async () => {
+  // Loaded on demand so visitors who never use WalletConnect don't download it
+  const { EthereumProvider } = await import('@walletconnect/ethereum-provider')
+
+  return EthereumProvider.init({
+    projectId: WALLETCONNECT_PROJECT_ID,
+    optionalChains: SUPPORTED_CHAIN_IDS,
+    rpcMap: Object.fromEntries(SUPPORTED_CHAIN_IDS.map(chainId => [chainId, getNetworkConfig(chainId).rpcUrl])),
+    showQrModal: true
+  })
+}
+
+/**
+ * @dev Asks a wallet for its accounts, prompting the user when it isn't connected yet
+ * @param wallet The wallet to connect
+ * @param prompt False to only restore an existing connection without showing any prompt
+ * @return Object with the wallet's EIP-1193 provider and its accounts (empty if not connected)
+ */
+export const enableWallet = async (wallet, prompt = true) => {
+  if (wallet.id === WALLETCONNECT_ID) {
+    const provider = await initWalletConnect()
+
+    // A restored session already has accounts; otherwise show the QR code
+    if (!provider.session) {
+      if (!prompt) return { provider, accounts: [] }
+      await provider.connect()
+    }
+
+    return { provider, accounts: provider.accounts }
+  }
+
+  const accounts = await wallet.provider.request({ method: prompt ? 'eth_requestAccounts' : 'eth_accounts' })
+  return { provider: wallet.provider, accounts }
+}
+
+/**
+ * @dev Disconnects a wallet as far as the wallet allows
+ * @param walletId The connected wallet's ID
+ * @param provider The connected wallet's EIP-1193 provider
+ */
+export const disconnectWallet = async (walletId, provider) => {
+  try {
+    if (walletId === WALLETCONNECT_ID) {
+      await provider.disconnect()
+    } else {
+      // Not every injected wallet supports revoking; forgetting it locally is enough then
+      await provider.request({ method: 'wallet_revokePermissions', params: [{ eth_accounts: {} }] })
+    }
+  } catch (error) {
+    console.warn('Wallet did not disconnect:', error)
+  }
+}
+
+/**
+ * @dev Returns the ID of the last wallet used, or null
+ */
+export const getLastWalletId = () => localStorage.getItem(LAST_WALLET_KEY)
+
+/**
+ * @dev Remembers the wallet used, or forgets it when passed null
+ * @param walletId The wallet's ID
+ */
+export const setLastWalletId = (walletId) => {
+  if (walletId) {
+    localStorage.setItem(LAST_WALLET_KEY, walletId)
+  } else {
+    localStorage.removeItem(LAST_WALLET_KEY)
+  }
+}
@@ -6,7 +6,7 @@
  * - Contract deployment and initialization
  * - NFT minting functionality (success and failure scenarios)
  * - Ownership and balance tracking
- * - Withdrawal functionality
+ * - Withdrawal functionality and the payment splitter
  * - Error handling and edge cases
  *
  * How to run tests:
@@ -19,6 +19,14 @@
 const { expect } = require('chai');    // Assertion library for testing
 const { ethers } = require('hardhat'); // Ethereum library for blockchain interaction
 
+// Allowlist helpers shared with the Merkle tree generation script
+const { buildAllowlist } = require('../scripts/allowlist')
+
+// Trait table helpers shared with the on-chain metadata upload script
+const path = require('path')
+const { readMetadata } = require('../scripts/rarity')
+const { buildTraitTable } = require('../scripts/traits')
+
 /**
  * @dev Helper function to convert ETH amounts to wei (smallest ETH unit)
  * @param n The amount in ETH to convert
@@ -31,6 +39,18 @@ const tokens = (n) => {
 // Alias for better readability when dealing with ETH amounts
 const ether = tokens
 
+/**
+ * @dev Helper function to decode a base64 data URI
+ * @param uri The data URI (e.g. 'data:application/json;base64,...')
+ * @param mediaType The expected media type
+ * @return The decoded content as a string
+ */
+const decodeDataURI = (uri, mediaType) => {
+  const prefix = `data:${mediaType};base64,`
+  expect(uri.startsWith(prefix)).to.equal(true)
+  return Buffer.from(uri.slice(prefix.length), 'base64').toString('utf8')
+}
+
 /**
  * @dev Main test suite for the NFT contract
  * Tests are organized into logical groups (Deployment, Minting, etc.)
@@ -44,11 +64,17 @@ describe('NFT', () => {
   const COST = ether(10)           // Cost to mint one NFT (10 ETH)
   const MAX_SUPPLY = 25            // Maximum number of NFTs that can be minted
   const BASE_URI = 'ipfs://QmQ2jnDYecFhrf3asEWjyjZRX1pZSsNWG3qHzmNDvXa9qg/'  // IPFS metadata URI
+  const NOT_REVEALED_URI = 'ipfs://QmNotRevealedPlaceholderCid/hidden.json'  // Placeholder metadata URI
+  const REVEALED = ''              // An empty placeholder URI deploys the collection already revealed
+  const MAX_MINT_AMOUNT = 5        // Default maximum NFTs per mint transaction
+  const MAX_PER_WALLET = 10        // Default maximum NFTs a single wallet can mint
+  const SHARES = [1]               // The deployer is the only payee unless a test sets its own
 
   // Test account variables
   let nft,        // The deployed NFT contract instance
       deployer,   // Account that deploys the contract (becomes owner)
-      minter      // Account used for testing minting functionality
+      minter,     // Account used for testing minting functionality
+      payees      // Addresses mint proceeds are split between
 
   /**
    * @dev Setup function that runs before each test
@@ -58,6 +84,7 @@ describe('NFT', () => {
     let accounts = await ethers.getSigners()  // Get available test accounts
     deployer = accounts[0]  // First account becomes the contract deployer/owner
     minter = accounts[1]    // Second account is used for minting tests
+    payees = [deployer.address]
   })
 
   /**
@@ -77,7 +104,7 @@ describe('NFT', () => {
       const NFT = await ethers.getContractFactory('NFT')
 
       // Deploy the contract with test parameters
-      nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI)
+      nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
     })
 
     /**
@@ -116,10 +143,22 @@ describe('NFT', () => {
       expect(await nft.baseURI()).to.equal(BASE_URI)
     })
 
+    it('is revealed when deployed without a placeholder URI', async () => {
+      expect(await nft.revealed()).to.equal(true)
+    })
+
     it('returns the owner', async () => {
       expect(await nft.owner()).to.equal(deployer.address)
     })
 
+    it('returns the max mint amount per transaction', async () => {
+      expect(await nft.maxMintAmount()).to.equal(MAX_MINT_AMOUNT)
+    })
+
+    it('returns the max mint amount per wallet', async () => {
+      expect(await nft.maxPerWallet()).to.equal(MAX_PER_WALLET)
+    })
+
   })
 
 
@@ -132,7 +171,7 @@ describe('NFT', () => {
 
       beforeEach(async () => {
         const NFT = await ethers.getContractFactory('NFT')
-        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI)
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
 
         transaction = await nft.connect(minter).mint(1, { value: COST })
         result = await transaction.wait()
@@ -166,6 +205,10 @@ describe('NFT', () => {
           .withArgs(1, minter.address)
       })
 
+      it('tracks the number of NFTs minted by the wallet', async () => {
+        expect(await nft.mintedBy(minter.address)).to.equal(1)
+      })
+
     })
 
     describe('Failure', async () => {
@@ -173,7 +216,7 @@ describe('NFT', () => {
       it('rejects insufficient payment', async () => {
         const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
         const NFT = await ethers.getContractFactory('NFT')
-        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI)
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
 
         await expect(nft.connect(minter).mint(1, { value: ether(1) })).to.be.reverted
       })
@@ -181,7 +224,7 @@ describe('NFT', () => {
       it('requires at least 1 NFT to be minted', async () => {
         const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
         const NFT = await ethers.getContractFactory('NFT')
-        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI)
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
 
         await expect(nft.connect(minter).mint(0, { value: COST })).to.be.reverted
       })
@@ -189,7 +232,7 @@ describe('NFT', () => {
       it('rejects minting before allowed time', async () => {
         const ALLOW_MINTING_ON = new Date('May 26, 2030 18:00:00').getTime().toString().slice(0, 10)
         const NFT = await ethers.getContractFactory('NFT')
-        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI)
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
 
         await expect(nft.connect(minter).mint(1, { value: COST })).to.be.reverted
       })
@@ -197,15 +240,83 @@ describe('NFT', () => {
       it('does not allow more NFTs to be minted than max amount', async () => {
         const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
         const NFT = await ethers.getContractFactory('NFT')
-        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI)
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
 
         await expect(nft.connect(minter).mint(100, { value: COST })).to.be.reverted
       })
 
+      it('does not allow more NFTs to be minted than max supply', async () => {
+        const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
+        const NFT = await ethers.getContractFactory('NFT')
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
+
+        // Lift the mint limits so only the supply cap applies
+        await nft.connect(deployer).setMaxMintAmount(100)
+        await nft.connect(deployer).setMaxPerWallet(100)
+
+        await expect(nft.connect(minter).mint(MAX_SUPPLY + 1, { value: COST.mul(MAX_SUPPLY + 1) }))
+          .to.be.revertedWith('Would exceed max supply')
+      })
+
+      it('rejects minting more than max mint amount per transaction', async () => {
+        const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
+        const NFT = await ethers.getContractFactory('NFT')
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
+
+        await expect(nft.connect(minter).mint(MAX_MINT_AMOUNT + 1, { value: COST.mul(MAX_MINT_AMOUNT + 1) }))
+          .to.be.revertedWith('Exceeds max mint amount per transaction')
+      })
+
+      it('rejects minting more than max amount per wallet', async () => {
+        const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
+        const NFT = await ethers.getContractFactory('NFT')
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
+
+        // Mint up to the wallet cap across two transactions
+        await nft.connect(minter).mint(MAX_MINT_AMOUNT, { value: COST.mul(MAX_MINT_AMOUNT) })
+        await nft.connect(minter).mint(MAX_PER_WALLET - MAX_MINT_AMOUNT, { value: COST.mul(MAX_PER_WALLET - MAX_MINT_AMOUNT) })
+
+        await expect(nft.connect(minter).mint(1, { value: COST }))
+          .to.be.revertedWith('Exceeds max mint amount per wallet')
+      })
+
+      it('keeps counting against the wallet limit after transferring NFTs away', async () => {
+        const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
+        const NFT = await ethers.getContractFactory('NFT')
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
+        await nft.connect(deployer).setMaxPerWallet(1)
+
+        await nft.connect(minter).mint(1, { value: COST })
+        await nft.connect(minter).transferFrom(minter.address, deployer.address, 1)
+
+        await expect(nft.connect(minter).mint(1, { value: COST }))
+          .to.be.revertedWith('Exceeds max mint amount per wallet')
+      })
+
+      it('prevents non-owner from changing mint limits', async () => {
+        const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
+        const NFT = await ethers.getContractFactory('NFT')
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
+
+        await expect(nft.connect(minter).setMaxMintAmount(25)).to.be.reverted
+        await expect(nft.connect(minter).setMaxPerWallet(25)).to.be.reverted
+      })
+
+      it('rejects mint limits of zero', async () => {
+        const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
+        const NFT = await ethers.getContractFactory('NFT')
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
+
+        await expect(nft.connect(deployer).setMaxMintAmount(0))
+          .to.be.revertedWith('Max mint amount must be at least 1')
+        await expect(nft.connect(deployer).setMaxPerWallet(0))
+          .to.be.revertedWith('Max per wallet must be at least 1')
+      })
+
       it('does not return URIs for invalid tokens', async () => {
         const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
         const NFT = await ethers.getContractFactory('NFT')
-        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI)
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
         nft.connect(minter).mint(1, { value: COST })
 
         await expect(nft.tokenURI('99')).to.be.reverted
@@ -216,6 +327,722 @@ describe('NFT', () => {
 
   })
 
+  describe('Presale Minting', () => {
+    let transaction, result, allowlist, outsider
+
+    const PRESALE_COST = ether(5)    // Discounted presale price
+    const PRESALE_MAX_PER_WALLET = 2 // Default presale per-address cap
+
+    // Public minting opens in the future so the presale window is open now
+    const ALLOW_MINTING_ON = new Date('May 26, 2030 18:00:00').getTime().toString().slice(0, 10)
+    const ALLOW_PRESALE_MINTING_ON = (Date.now() - 60000).toString().slice(0, 10) // A minute ago
+
+    beforeEach(async () => {
+      outsider = (await ethers.getSigners())[2]  // Account that isn't on the allowlist
+
+      const NFT = await ethers.getContractFactory('NFT')
+      nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
+
+      // Allowlist the deployer and minter, then configure the presale
+      allowlist = buildAllowlist([deployer.address, minter.address])
+      await nft.connect(deployer).setMerkleRoot(allowlist.root)
+      await nft.connect(deployer).setPresaleCost(PRESALE_COST)
+      await nft.connect(deployer).setAllowPresaleMintingOn(ALLOW_PRESALE_MINTING_ON)
+    })
+
+    describe('Success', async () => {
+
+      beforeEach(async () => {
+        transaction = await nft.connect(minter).presaleMint(1, allowlist.proofs[minter.address], { value: PRESALE_COST })
+        result = await transaction.wait()
+      })
+
+      it('reports the presale as active', async () => {
+        expect(await nft.isPresaleActive()).to.equal(true)
+      })
+
+      it('returns the merkle root', async () => {
+        expect(await nft.merkleRoot()).to.equal(allowlist.root)
+      })
+
+      it('returns the address of the minter', async () => {
+        expect(await nft.ownerOf(1)).to.equal(minter.address)
+      })
+
+      it('counts presale mints toward the wallet limit', async () => {
+        expect(await nft.presaleMintedBy(minter.address)).to.equal(1)
+        expect(await nft.mintedBy(minter.address)).to.equal(1)
+      })
+
+      it('charges the presale cost', async () => {
+        expect(await ethers.provider.getBalance(nft.address)).to.equal(PRESALE_COST)
+      })
+
+      it('emits Mint event', async () => {
+        await expect(transaction).to.emit(nft, 'Mint')
+          .withArgs(1, minter.address)
+      })
+
+      it('emits events when the presale is configured', async () => {
+        await expect(nft.connect(deployer).setMerkleRoot(allowlist.root))
+          .to.emit(nft, 'MerkleRootChanged').withArgs(allowlist.root)
+        await expect(nft.connect(deployer).setPresaleCost(ether(3)))
+          .to.emit(nft, 'PresaleCostChanged').withArgs(ether(3))
+        await expect(nft.connect(deployer).setPresaleMaxPerWallet(4))
+          .to.emit(nft, 'PresaleMaxPerWalletChanged').withArgs(4)
+        await expect(nft.connect(deployer).setAllowPresaleMintingOn(0))
+          .to.emit(nft, 'AllowPresaleMintingOnChanged').withArgs(0)
+      })
+
+    })
+
+    describe('Failure', async () => {
+
+      it('rejects addresses that are not on the allowlist', async () => {
+        await expect(nft.connect(outsider).presaleMint(1, allowlist.proofs[minter.address], { value: PRESALE_COST }))
+          .to.be.revertedWith('Not on allowlist')
+      })
+
+      it('rejects insufficient presale payment', async () => {
+        await expect(nft.connect(minter).presaleMint(1, allowlist.proofs[minter.address], { value: ether(1) }))
+          .to.be.revertedWith('Insufficient payment')
+      })
+
+      it('rejects minting more than the presale cap per wallet', async () => {
+        await expect(nft.connect(minter).presaleMint(PRESALE_MAX_PER_WALLET + 1, allowlist.proofs[minter.address], { value: PRESALE_COST.mul(PRESALE_MAX_PER_WALLET + 1) }))
+          .to.be.revertedWith('Exceeds presale mint amount per wallet')
+      })
+
+      it('rejects minting more than the per-transaction limit', async () => {
+        await nft.connect(deployer).setPresaleMaxPerWallet(10)
+        await nft.connect(deployer).setMaxMintAmount(1)
+
+        await expect(nft.connect(minter).presaleMint(2, allowlist.proofs[minter.address], { value: PRESALE_COST.mul(2) }))
+          .to.be.revertedWith('Exceeds max mint amount per transaction')
+      })
+
+      it('rejects presale mints past the overall wallet limit', async () => {
+        await nft.connect(deployer).setPresaleMaxPerWallet(10)
+        await nft.connect(deployer).setMaxPerWallet(1)
+        await nft.connect(minter).presaleMint(1, allowlist.proofs[minter.address], { value: PRESALE_COST })
+
+        await expect(nft.connect(minter).presaleMint(1, allowlist.proofs[minter.address], { value: PRESALE_COST }))
+          .to.be.revertedWith('Exceeds max mint amount per wallet')
+      })
+
+      it('rejects presale minting when the presale has not started', async () => {
+        await nft.connect(deployer).setAllowPresaleMintingOn(0)
+
+        await expect(nft.connect(minter).presaleMint(1, allowlist.proofs[minter.address], { value: PRESALE_COST }))
+          .to.be.revertedWith('Presale is not active')
+      })
+
+      it('rejects presale minting once public minting has started', async () => {
+        const NFT = await ethers.getContractFactory('NFT')
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, Date.now().toString().slice(0, 10), BASE_URI, REVEALED, payees, SHARES)
+        await nft.connect(deployer).setMerkleRoot(allowlist.root)
+
+        await expect(nft.connect(deployer).setAllowPresaleMintingOn(Date.now().toString().slice(0, 10)))
+          .to.be.revertedWith('Presale must start before public minting')
+        await expect(nft.connect(minter).presaleMint(1, allowlist.proofs[minter.address], { value: COST }))
+          .to.be.revertedWith('Presale is not active')
+      })
+
+      it('rejects public minting during the presale', async () => {
+        await expect(nft.connect(minter).mint(1, { value: COST }))
+          .to.be.revertedWith('Minting not yet allowed')
+      })
+
+      it('prevents non-owner from configuring the presale', async () => {
+        await expect(nft.connect(minter).setMerkleRoot(allowlist.root)).to.be.reverted
+        await expect(nft.connect(minter).setPresaleCost(0)).to.be.reverted
+        await expect(nft.connect(minter).setPresaleMaxPerWallet(5)).to.be.reverted
+        await expect(nft.connect(minter).setAllowPresaleMintingOn(0)).to.be.reverted
+      })
+
+    })
+
+  })
+
+  describe('Reveal', () => {
+    let transaction, result
+
+    const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
+    const HIDDEN_BASE_URI = ''  // The real location stays private until reveal
+
+    beforeEach(async () => {
+      const NFT = await ethers.getContractFactory('NFT')
+      nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, HIDDEN_BASE_URI, NOT_REVEALED_URI, payees, SHARES)
+
+      transaction = await nft.connect(minter).mint(2, { value: ether(20) })
+      result = await transaction.wait()
+    })
+
+    describe('Success', async () => {
+
+      it('starts unrevealed', async () => {
+        expect(await nft.revealed()).to.equal(false)
+        expect(await nft.revealedAt()).to.equal(0)
+        expect(await nft.notRevealedURI()).to.equal(NOT_REVEALED_URI)
+      })
+
+      it('returns the placeholder URI for every token before reveal', async () => {
+        expect(await nft.tokenURI(1)).to.equal(NOT_REVEALED_URI)
+        expect(await nft.tokenURI(2)).to.equal(NOT_REVEALED_URI)
+      })
+
+      it('returns the real URI after reveal', async () => {
+        await nft.connect(deployer).reveal(BASE_URI)
+
+        expect(await nft.revealed()).to.equal(true)
+        expect(await nft.baseURI()).to.equal(BASE_URI)
+        expect(await nft.tokenURI(1)).to.equal(`${BASE_URI}1.json`)
+        expect(await nft.tokenURI(2)).to.equal(`${BASE_URI}2.json`)
+      })
+
+      it('emits Reveal event', async () => {
+        transaction = await nft.connect(deployer).reveal(BASE_URI)
+        result = await transaction.wait()
+
+        const block = await ethers.provider.getBlock(result.blockNumber)
+        await expect(transaction).to.emit(nft, 'Reveal')
+          .withArgs(BASE_URI, block.timestamp)
+        expect(await nft.revealedAt()).to.equal(block.timestamp)
+      })
+
+    })
+
+    describe('Failure', async () => {
+
+      it('prevents non-owner from revealing', async () => {
+        await expect(nft.connect(minter).reveal(BASE_URI)).to.be.reverted
+      })
+
+      it('prevents revealing twice', async () => {
+        await nft.connect(deployer).reveal(BASE_URI)
+
+        await expect(nft.connect(deployer).reveal(BASE_URI))
+          .to.be.revertedWith('Already revealed')
+      })
+
+      it('does not return URIs for invalid tokens before reveal', async () => {
+        await expect(nft.tokenURI('99')).to.be.reverted
+      })
+
+    })
+
+  })
+
+  describe('Owner Settings', () => {
+    let transaction, result
+
+    const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
+    const NEW_ALLOW_MINTING_ON = new Date('May 26, 2030 18:00:00').getTime().toString().slice(0, 10)
+    const NEW_BASE_URI = 'ipfs://QmNewMetadataCid/'
+
+    beforeEach(async () => {
+      const NFT = await ethers.getContractFactory('NFT')
+      nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
+    })
+
+    describe('Success', async () => {
+
+      it('updates the mint date', async () => {
+        transaction = await nft.connect(deployer).setAllowMintingOn(NEW_ALLOW_MINTING_ON)
+        result = await transaction.wait()
+
+        expect(await nft.allowMintingOn()).to.equal(NEW_ALLOW_MINTING_ON)
+        await expect(transaction).to.emit(nft, 'AllowMintingOnChanged')
+          .withArgs(NEW_ALLOW_MINTING_ON)
+      })
+
+      it('updates the mint limits', async () => {
+        transaction = await nft.connect(deployer).setMaxMintAmount(3)
+        result = await transaction.wait()
+
+        expect(await nft.maxMintAmount()).to.equal(3)
+        await expect(transaction).to.emit(nft, 'MaxMintAmountChanged')
+          .withArgs(3)
+
+        transaction = await nft.connect(deployer).setMaxPerWallet(6)
+        result = await transaction.wait()
+
+        expect(await nft.maxPerWallet()).to.equal(6)
+        await expect(transaction).to.emit(nft, 'MaxPerWalletChanged')
+          .withArgs(6)
+      })
+
+      it('blocks minting again when the mint date moves to the future', async () => {
+        await nft.connect(deployer).setAllowMintingOn(NEW_ALLOW_MINTING_ON)
+
+        await expect(nft.connect(minter).mint(1, { value: COST }))
+          .to.be.revertedWith('Minting not yet allowed')
+      })
+
+      it('updates the base URI', async () => {
+        await nft.connect(minter).mint(1, { value: COST })
+
+        transaction = await nft.connect(deployer).setBaseURI(NEW_BASE_URI)
+        result = await transaction.wait()
+
+        expect(await nft.baseURI()).to.equal(NEW_BASE_URI)
+        expect(await nft.tokenURI(1)).to.equal(`${NEW_BASE_URI}1.json`)
+        await expect(transaction).to.emit(nft, 'BaseURIChanged')
+          .withArgs(NEW_BASE_URI)
+      })
+
+      it('updates the base extension', async () => {
+        await nft.connect(minter).mint(1, { value: COST })
+
+        transaction = await nft.connect(deployer).setBaseExtension('')
+        result = await transaction.wait()
+
+        expect(await nft.baseExtension()).to.equal('')
+        expect(await nft.tokenURI(1)).to.equal(`${BASE_URI}1`)
+        await expect(transaction).to.emit(nft, 'BaseExtensionChanged')
+          .withArgs('')
+      })
+
+      it('pauses and unpauses minting', async () => {
+        transaction = await nft.connect(deployer).setPaused(true)
+        result = await transaction.wait()
+
+        expect(await nft.paused()).to.equal(true)
+        await expect(transaction).to.emit(nft, 'PausedChanged')
+          .withArgs(true)
+
+        transaction = await nft.connect(deployer).setPaused(false)
+        result = await transaction.wait()
+
+        expect(await nft.paused()).to.equal(false)
+        await expect(transaction).to.emit(nft, 'PausedChanged')
+          .withArgs(false)
+        await expect(nft.connect(minter).mint(1, { value: COST })).to.not.be.reverted
+      })
+
+    })
+
+    describe('Failure', async () => {
+
+      it('rejects minting while paused', async () => {
+        await nft.connect(deployer).setPaused(true)
+
+        await expect(nft.connect(minter).mint(1, { value: COST }))
+          .to.be.revertedWith('Minting is paused')
+      })
+
+      it('rejects presale minting while paused', async () => {
+        await nft.connect(deployer).setPaused(true)
+
+        await expect(nft.connect(minter).presaleMint(1, [], { value: COST }))
+          .to.be.revertedWith('Minting is paused')
+      })
+
+      it('rejects a mint date before the presale start', async () => {
+        await nft.connect(deployer).setAllowMintingOn(NEW_ALLOW_MINTING_ON)
+        await nft.connect(deployer).setAllowPresaleMintingOn(ALLOW_MINTING_ON)
+
+        await expect(nft.connect(deployer).setAllowMintingOn(ALLOW_MINTING_ON))
+          .to.be.revertedWith('Public minting must start after presale')
+      })
+
+      it('prevents non-owner from changing owner settings', async () => {
+        await expect(nft.connect(minter).setAllowMintingOn(NEW_ALLOW_MINTING_ON)).to.be.reverted
+        await expect(nft.connect(minter).setBaseURI(NEW_BASE_URI)).to.be.reverted
+        await expect(nft.connect(minter).setBaseExtension('')).to.be.reverted
+        await expect(nft.connect(minter).setPaused(true)).to.be.reverted
+      })
+
+    })
+
+  })
+
+  describe('Royalties', () => {
+    let transaction, result
+
+    const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
+    const ROYALTY_BPS = 500          // 5%
+    const MAX_ROYALTY_BPS = 1000     // 10%
+    const ERC2981_INTERFACE_ID = '0x2a55205a'
+    const ERC721_INTERFACE_ID = '0x80ac58cd'
+
+    beforeEach(async () => {
+      const NFT = await ethers.getContractFactory('NFT')
+      nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
+    })
+
+    describe('Success', async () => {
+
+      it('supports the EIP-2981 interface', async () => {
+        expect(await nft.supportsInterface(ERC2981_INTERFACE_ID)).to.equal(true)
+        expect(await nft.supportsInterface(ERC721_INTERFACE_ID)).to.equal(true)
+        expect(await nft.supportsInterface('0xffffffff')).to.equal(false)
+      })
+
+      it('pays no royalty to the deployer by default', async () => {
+        const [receiver, amount] = await nft.royaltyInfo(1, ether(1))
+
+        expect(receiver).to.equal(deployer.address)
+        expect(amount).to.equal(0)
+      })
+
+      it('updates the royalty receiver and rate', async () => {
+        transaction = await nft.connect(deployer).setRoyaltyInfo(minter.address, ROYALTY_BPS)
+        result = await transaction.wait()
+
+        expect(await nft.royaltyReceiver()).to.equal(minter.address)
+        expect(await nft.royaltyBps()).to.equal(ROYALTY_BPS)
+        await expect(transaction).to.emit(nft, 'RoyaltyChanged')
+          .withArgs(minter.address, ROYALTY_BPS)
+      })
+
+      it('computes the royalty from the sale price', async () => {
+        await nft.connect(deployer).setRoyaltyInfo(minter.address, ROYALTY_BPS)
+
+        const [receiver, amount] = await nft.royaltyInfo(1, ether(2))
+        expect(receiver).to.equal(minter.address)
+        expect(amount).to.equal(ether(0.1))
+
+        // Rounds down on prices too small to split exactly
+        const [, dust] = await nft.royaltyInfo(1, 19)
+        expect(dust).to.equal(0)
+      })
+
+      it('allows the maximum royalty', async () => {
+        await nft.connect(deployer).setRoyaltyInfo(minter.address, MAX_ROYALTY_BPS)
+
+        const [, amount] = await nft.royaltyInfo(1, ether(1))
+        expect(amount).to.equal(ether(0.1))
+      })
+
+    })
+
+    describe('Failure', async () => {
+
+      it('rejects a royalty above the maximum', async () => {
+        await expect(nft.connect(deployer).setRoyaltyInfo(minter.address, MAX_ROYALTY_BPS + 1))
+          .to.be.revertedWith('Royalty exceeds maximum')
+      })
+
+      it('rejects the zero address as receiver', async () => {
+        await expect(nft.connect(deployer).setRoyaltyInfo(ethers.constants.AddressZero, ROYALTY_BPS))
+          .to.be.revertedWith('Royalty receiver is the zero address')
+      })
+
+      it('prevents non-owner from changing the royalty', async () => {
+        await expect(nft.connect(minter).setRoyaltyInfo(minter.address, ROYALTY_BPS)).to.be.reverted
+      })
+
+    })
+
+  })
+
+  describe('On-Chain Metadata', () => {
+    let transaction, result, table, collection
+
+    const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
+    const DESCRIPTION = 'A image of 1,000 generated punks'
+
+    beforeEach(async () => {
+      collection = readMetadata(path.join(__dirname, '..', 'metadata'))
+      table = buildTraitTable(collection)
+
+      const NFT = await ethers.getContractFactory('NFT')
+      nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
+
+      await nft.connect(deployer).setTraitTable(DESCRIPTION, table.traitTypes, table.traitValues)
+      await nft.connect(deployer).setTokenTraits(1, table.tokenTraits)
+      await nft.connect(minter).mint(2, { value: ether(20) })
+    })
+
+    describe('Success', async () => {
+
+      it('keeps using the base URI until enabled', async () => {
+        expect(await nft.onChainMetadata()).to.equal(false)
+        expect(await nft.tokenURI(1)).to.equal(`${BASE_URI}1.json`)
+      })
+
+      it('stores the trait table', async () => {
+        expect(await nft.metadataDescription()).to.equal(DESCRIPTION)
+        expect(await nft.traitTypes(0)).to.equal(table.traitTypes[0])
+        expect(await nft.traitValues(0, 0)).to.equal(table.traitValues[0][0])
+      })
+
+      it('keeps the token traits private', async () => {
+        expect(nft.tokenTraits).to.equal(undefined)
+      })
+
+      it('returns base64 JSON metadata built from the traits', async () => {
+        transaction = await nft.connect(deployer).setOnChainMetadata(true)
+        result = await transaction.wait()
+
+        await expect(transaction).to.emit(nft, 'OnChainMetadataChanged')
+          .withArgs(true)
+
+        const metadata = JSON.parse(decodeDataURI(await nft.tokenURI(1), 'application/json'))
+
+        expect(metadata.name).to.equal('#1')
+        expect(metadata.description).to.equal(DESCRIPTION)
+        expect(metadata.edition).to.equal(1)
+        expect(metadata.attributes).to.deep.equal(collection[0].attributes)
+      })
+
+      it('embeds an SVG image listing the traits', async () => {
+        await nft.connect(deployer).setOnChainMetadata(true)
+
+        const metadata = JSON.parse(decodeDataURI(await nft.tokenURI(2), 'application/json'))
+        const svg = decodeDataURI(metadata.image, 'image/svg+xml')
+
+        expect(svg.startsWith('<svg')).to.equal(true)
+        expect(svg).to.include(`${NAME} #2`)
+        collection[1].attributes.forEach(({ trait_type, value }) => {
+          expect(svg).to.include(`${trait_type}: ${value}`)
+        })
+      })
+
+      it('leaves out traits a token does not have', async () => {
+        // Token 3 only has the first trait type
+        const traits = new Uint8Array(table.traitTypes.length)
+        traits[0] = 1
+        await nft.connect(deployer).setTokenTraits(3, [traits])
+        await nft.connect(minter).mint(1, { value: COST })
+        await nft.connect(deployer).setOnChainMetadata(true)
+
+        const metadata = JSON.parse(decodeDataURI(await nft.tokenURI(3), 'application/json'))
+        expect(metadata.attributes).to.deep.equal([
+          { trait_type: table.traitTypes[0], value: table.traitValues[0][0] }
+        ])
+      })
+
+      it('skips traits the current table no longer has', async () => {
+        // Shrink the table to its first trait type and value, after the traits were uploaded
+        await nft.connect(deployer).setTraitTable(DESCRIPTION, [table.traitTypes[0]], [table.traitValues[0].slice(0, 1)])
+        await nft.connect(deployer).setOnChainMetadata(true)
+
+        const expected = collection[0].attributes
+          .filter(({ trait_type, value }) => trait_type === table.traitTypes[0] && value === table.traitValues[0][0])
+
+        const metadata = JSON.parse(decodeDataURI(await nft.tokenURI(1), 'application/json'))
+        expect(metadata.attributes).to.deep.equal(expected)
+        expect(decodeDataURI(await nft.tokenURI(2), 'application/json')).to.include(`"name":"#2"`)
+      })
+
+      it('switches back to the base URI', async () => {
+        await nft.connect(deployer).setOnChainMetadata(true)
+        await nft.connect(deployer).setOnChainMetadata(false)
+
+        expect(await nft.tokenURI(1)).to.equal(`${BASE_URI}1.json`)
+      })
+
+    })
+
+    describe('Failure', async () => {
+
+      it('still hides the metadata before reveal', async () => {
+        const NFT = await ethers.getContractFactory('NFT')
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, '', NOT_REVEALED_URI, payees, SHARES)
+        await nft.connect(deployer).setOnChainMetadata(true)
+        await nft.connect(minter).mint(1, { value: COST })
+
+        expect(await nft.tokenURI(1)).to.equal(NOT_REVEALED_URI)
+      })
+
+      it('rejects token traits before reveal', async () => {
+        const NFT = await ethers.getContractFactory('NFT')
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, '', NOT_REVEALED_URI, payees, SHARES)
+        await nft.connect(deployer).setTraitTable(DESCRIPTION, table.traitTypes, table.traitValues)
+
+        await expect(nft.connect(deployer).setTokenTraits(1, table.tokenTraits))
+          .to.be.revertedWith('Collection is not revealed yet')
+      })
+
+      it('rejects token traits that do not match the trait table', async () => {
+        await expect(nft.connect(deployer).setTokenTraits(1, ['0x01']))
+          .to.be.revertedWith('Wrong number of traits')
+
+        const unknown = new Uint8Array(table.traitTypes.length)
+        unknown[0] = table.traitValues[0].length + 1
+        await expect(nft.connect(deployer).setTokenTraits(1, [unknown]))
+          .to.be.revertedWith('Unknown trait value')
+      })
+
+      it('rejects token IDs outside the collection', async () => {
+        await expect(nft.connect(deployer).setTokenTraits(0, [table.tokenTraits[0]]))
+          .to.be.revertedWith('Token ID out of range')
+        await expect(nft.connect(deployer).setTokenTraits(MAX_SUPPLY, table.tokenTraits.slice(0, 2)))
+          .to.be.revertedWith('Token ID out of range')
+      })
+
+      it('rejects a trait table with a value list missing', async () => {
+        await expect(nft.connect(deployer).setTraitTable(DESCRIPTION, table.traitTypes, table.traitValues.slice(1)))
+          .to.be.revertedWith('Trait types and values length mismatch')
+      })
+
+      it('prevents non-owner from changing on-chain metadata', async () => {
+        await expect(nft.connect(minter).setOnChainMetadata(true)).to.be.reverted
+        await expect(nft.connect(minter).setTraitTable(DESCRIPTION, table.traitTypes, table.traitValues)).to.be.reverted
+        await expect(nft.connect(minter).setTokenTraits(1, table.tokenTraits)).to.be.reverted
+      })
+
+    })
+
+  })
+
+  describe('Payment Splitter', () => {
+    let transaction, result, team, teamAddresses
+
+    const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
+    const TEAM_SHARES = [50, 30, 20]
+
+    /**
+     * @dev Deploys with the deployer and two other accounts as payees
+     * @param teamShares Shares for each of the three payees
+     */
+    const deployWithTeam = async (teamShares) => {
+      const NFT = await ethers.getContractFactory('NFT')
+      return NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, teamAddresses, teamShares)
+    }
+
+    beforeEach(async () => {
+      const accounts = await ethers.getSigners()
+      team = [deployer, accounts[2], accounts[3]]
+      teamAddresses = team.map(account => account.address)
+    })
+
+    describe('Success', async () => {
+
+      beforeEach(async () => {
+        nft = await deployWithTeam(TEAM_SHARES)
+      })
+
+      it('stores the payees and their shares', async () => {
+        expect(await nft.payeeCount()).to.equal(3)
+        expect(await nft.totalShares()).to.equal(100)
+
+        for (let i = 0; i < team.length; i++) {
+          expect(await nft.payees(i)).to.equal(teamAddresses[i])
+          expect(await nft.shares(teamAddresses[i])).to.equal(TEAM_SHARES[i])
+        }
+
+        await expect(nft.deployTransaction).to.emit(nft, 'PayeeAdded')
+          .withArgs(teamAddresses[1], TEAM_SHARES[1])
+      })
+
+      it('splits withdrawals by shares', async () => {
+        await nft.connect(minter).mint(2, { value: COST.mul(2) })
+        await nft.connect(minter).mint(1, { value: COST })
+
+        // 30 ETH split 50/30/20
+        transaction = await nft.connect(deployer).withdraw()
+
+        await expect(transaction).to.changeEtherBalances(
+          [nft, ...team],
+          [ether(-30), ether(15), ether(9), ether(6)]
+        )
+        await expect(transaction).to.emit(nft, 'PaymentReleased')
+          .withArgs(teamAddresses[2], ether(6))
+        await expect(transaction).to.emit(nft, 'Withdraw')
+          .withArgs(ether(30), deployer.address)
+
+        expect(await nft.totalReleased()).to.equal(ether(30))
+      })
+
+      it('lets each payee pull their own share', async () => {
+        await nft.connect(minter).mint(1, { value: COST })
+
+        transaction = await nft.connect(team[1]).release(teamAddresses[1])
+
+        await expect(transaction).to.changeEtherBalance(team[1], ether(3))
+        await expect(transaction).to.emit(nft, 'PaymentReleased')
+          .withArgs(teamAddresses[1], ether(3))
+
+        expect(await nft.released(teamAddresses[1])).to.equal(ether(3))
+        expect(await nft.releasable(teamAddresses[1])).to.equal(0)
+
+        // The other payees' shares are untouched, and include later mints
+        await nft.connect(minter).mint(1, { value: COST })
+        expect(await nft.releasable(teamAddresses[0])).to.equal(ether(10))
+        expect(await nft.releasable(teamAddresses[1])).to.equal(ether(3))
+        expect(await nft.releasable(teamAddresses[2])).to.equal(ether(4))
+      })
+
+      it('keeps rounding dust in the contract for later payouts', async () => {
+        nft = await deployWithTeam([1, 1, 1])
+
+        // 10 ETH doesn't split three ways: each payee gets 3.333... ETH and 1 wei is left over
+        await nft.connect(minter).mint(1, { value: COST })
+        transaction = await nft.connect(deployer).withdraw()
+
+        const third = ethers.BigNumber.from('3333333333333333333')
+        await expect(transaction).to.changeEtherBalances(team, [third, third, third])
+        expect(await ethers.provider.getBalance(nft.address)).to.equal(1)
+
+        // With 30 ETH received in total the dust is paid out and every payee has exactly 10 ETH
+        await nft.connect(minter).mint(2, { value: COST.mul(2) })
+        await nft.connect(deployer).withdraw()
+
+        expect(await ethers.provider.getBalance(nft.address)).to.equal(0)
+        for (const address of teamAddresses) {
+          expect(await nft.released(address)).to.equal(ether(10))
+        }
+      })
+
+    })
+
+    describe('Failure', async () => {
+
+      it('rejects releasing to an account without shares', async () => {
+        nft = await deployWithTeam(TEAM_SHARES)
+        await nft.connect(minter).mint(1, { value: COST })
+
+        await expect(nft.connect(minter).release(minter.address))
+          .to.be.revertedWith('Account has no shares')
+      })
+
+      it('rejects releasing when nothing is due', async () => {
+        nft = await deployWithTeam(TEAM_SHARES)
+
+        await expect(nft.connect(team[1]).release(teamAddresses[1]))
+          .to.be.revertedWith('Account is not due payment')
+      })
+
+      it('rejects invalid payees at deployment', async () => {
+        const NFT = await ethers.getContractFactory('NFT')
+        const deploy = (payees, shares) => NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, shares)
+
+        await expect(deploy([], [])).to.be.revertedWith('No payees')
+        await expect(deploy(teamAddresses, [1, 1])).to.be.revertedWith('Payees and shares length mismatch')
+        await expect(deploy([ethers.constants.AddressZero], [1])).to.be.revertedWith('Payee is the zero address')
+        await expect(deploy([teamAddresses[0]], [0])).to.be.revertedWith('Payee shares must be greater than 0')
+        await expect(deploy([teamAddresses[0], teamAddresses[0]], [1, 1])).to.be.revertedWith('Payee already added')
+      })
+
+      it('skips a payee that rejects ETH and pays the others', async () => {
+        const RejectingPayee = await ethers.getContractFactory('RejectingPayee')
+        const rejecting = await RejectingPayee.deploy()
+
+        const NFT = await ethers.getContractFactory('NFT')
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, [teamAddresses[0], rejecting.address], [1, 1])
+        await nft.connect(minter).mint(1, { value: COST })
+
+        transaction = await nft.connect(deployer).withdraw()
+
+        await expect(transaction).to.changeEtherBalances([nft, deployer], [ether(-5), ether(5)])
+        await expect(transaction).to.emit(nft, 'PaymentFailed')
+          .withArgs(rejecting.address, ether(5))
+        await expect(transaction).to.emit(nft, 'Withdraw')
+          .withArgs(ether(5), deployer.address)
+
+        // The rejected share stays due, and releasing it directly still fails
+        expect(await nft.released(rejecting.address)).to.equal(0)
+        expect(await nft.releasable(rejecting.address)).to.equal(ether(5))
+        await expect(nft.release(rejecting.address)).to.be.revertedWith('Release failed')
+      })
+
+    })
+
+  })
+
   describe('Displaying NFTs', () => {
     let transaction, result
 
@@ -223,7 +1050,7 @@ describe('NFT', () => {
 
     beforeEach(async () => {
       const NFT = await ethers.getContractFactory('NFT')
-      nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI)
+      nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
 
       // Mint 3 nfts
       transaction = await nft.connect(minter).mint(3, { value: ether(30) })
@@ -243,6 +1070,118 @@ describe('NFT', () => {
 
   })
 
+  describe('Sequential Minting', () => {
+    let other
+
+    const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
+
+    beforeEach(async () => {
+      const accounts = await ethers.getSigners()
+      other = accounts[2]
+
+      const NFT = await ethers.getContractFactory('NFT')
+      nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
+
+      // Two batches: tokens 1-3 to minter, 4-5 to other
+      await nft.connect(minter).mint(3, { value: ether(30) })
+      await nft.connect(other).mint(2, { value: ether(20) })
+    })
+
+    it('assigns consecutive token IDs across batches', async () => {
+      expect(await nft.totalSupply()).to.equal(5)
+
+      for (const tokenId of [1, 2, 3]) {
+        expect(await nft.ownerOf(tokenId)).to.equal(minter.address)
+      }
+      for (const tokenId of [4, 5]) {
+        expect(await nft.ownerOf(tokenId)).to.equal(other.address)
+      }
+    })
+
+    it('enumerates tokens by index', async () => {
+      expect(await nft.tokenByIndex(0)).to.equal(1)
+      expect(await nft.tokenByIndex(4)).to.equal(5)
+      expect(await nft.tokenOfOwnerByIndex(other.address, 1)).to.equal(5)
+
+      await expect(nft.tokenByIndex(5)).to.be.revertedWith('ERC721Enumerable: global index out of bounds')
+      await expect(nft.tokenOfOwnerByIndex(other.address, 2)).to.be.revertedWith('ERC721Enumerable: owner index out of bounds')
+    })
+
+    it('keeps the rest of a batch when a token in the middle is transferred', async () => {
+      await nft.connect(minter)['safeTransferFrom(address,address,uint256)'](minter.address, other.address, 2)
+
+      expect(await nft.ownerOf(1)).to.equal(minter.address)
+      expect(await nft.ownerOf(2)).to.equal(other.address)
+      expect(await nft.ownerOf(3)).to.equal(minter.address)
+
+      expect((await nft.walletOfOwner(minter.address)).map(id => id.toString())).to.deep.equal(['1', '3'])
+      expect((await nft.walletOfOwner(other.address)).map(id => id.toString())).to.deep.equal(['2', '4', '5'])
+      expect(await nft.balanceOf(minter.address)).to.equal(2)
+      expect(await nft.balanceOf(other.address)).to.equal(3)
+    })
+
+    it('emits a Transfer event for every token in a batch', async () => {
+      const transaction = await nft.connect(minter).mint(2, { value: ether(20) })
+
+      await expect(transaction).to.emit(nft, 'Transfer')
+        .withArgs(ethers.constants.AddressZero, minter.address, 6)
+      await expect(transaction).to.emit(nft, 'Transfer')
+        .withArgs(ethers.constants.AddressZero, minter.address, 7)
+    })
+
+    it('still supports the ERC721 and ERC721Enumerable interfaces', async () => {
+      expect(await nft.supportsInterface('0x80ac58cd')).to.equal(true) // ERC721
+      expect(await nft.supportsInterface('0x5b5e139f')).to.equal(true) // ERC721Metadata
+      expect(await nft.supportsInterface('0x780e9d63')).to.equal(true) // ERC721Enumerable
+    })
+
+    it('does not return owners for tokens that are not minted', async () => {
+      await expect(nft.ownerOf(0)).to.be.revertedWith('ERC721: owner query for nonexistent token')
+      await expect(nft.ownerOf(6)).to.be.revertedWith('ERC721: owner query for nonexistent token')
+    })
+
+  })
+
+  describe('Transferring NFTs', () => {
+    let transaction, result
+
+    const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
+
+    beforeEach(async () => {
+      const NFT = await ethers.getContractFactory('NFT')
+      nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
+
+      await nft.connect(minter).mint(2, { value: ether(20) })
+
+      // safeTransferFrom is overloaded, so the signature has to be spelled out (as the frontend does)
+      transaction = await nft.connect(minter)['safeTransferFrom(address,address,uint256)'](minter.address, deployer.address, 1)
+      result = await transaction.wait()
+    })
+
+    it('updates the owner', async () => {
+      expect(await nft.ownerOf(1)).to.equal(deployer.address)
+    })
+
+    it('updates walletOfOwner for sender and recipient', async () => {
+      const minterTokens = await nft.walletOfOwner(minter.address)
+      const deployerTokens = await nft.walletOfOwner(deployer.address)
+      expect(minterTokens.map(id => id.toString())).to.deep.equal(['2'])
+      expect(deployerTokens.map(id => id.toString())).to.deep.equal(['1'])
+    })
+
+    it('emits Transfer event', async () => {
+      await expect(transaction).to.emit(nft, 'Transfer')
+        .withArgs(minter.address, deployer.address, 1)
+    })
+
+    it('rejects transfers to contracts that do not implement IERC721Receiver', async () => {
+      // The NFT contract itself has no onERC721Received
+      await expect(nft.connect(minter)['safeTransferFrom(address,address,uint256)'](minter.address, nft.address, 2))
+        .to.be.revertedWith('ERC721: transfer to non ERC721Receiver implementer')
+    })
+
+  })
+
   describe('Minting', () => {
 
     describe('Success', async () => {
@@ -253,7 +1192,7 @@ describe('NFT', () => {
 
       beforeEach(async () => {
         const NFT = await ethers.getContractFactory('NFT')
-        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI)
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
 
         transaction = await nft.connect(minter).mint(1, { value: COST })
         result = await transaction.wait()
@@ -283,7 +1222,7 @@ describe('NFT', () => {
       it('prevents non-owner from withdrawing', async () => {
         const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10) // Now
         const NFT = await ethers.getContractFactory('NFT')
-        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI)
+        nft = await NFT.deploy(NAME, SYMBOL, COST, MAX_SUPPLY, ALLOW_MINTING_ON, BASE_URI, REVEALED, payees, SHARES)
         nft.connect(minter).mint(1, { value: COST })
 
         await expect(nft.connect(minter).withdraw()).to.be.reverted
@@ -0,0 +1,259 @@
+/**
+ * @title SIWE Verifier Test Suite
+ * @dev Tests for the Sign-In with Ethereum server in server/index.js
+ *
+ * This test suite covers:
+ * - Signing in with a fresh nonce, and rejecting reused or expired nonces
+ * - Rejecting messages for another domain, an undeployed chain or past their expiration time
+ * - Not starting a session when the holder check can't reach the network
+ * - Logging out
+ * - The holder-only /api/perks response for holders and non-holders
+ *
+ * The server runs on a random port against an NFT contract deployed on the in-process
+ * hardhat network, so no node or src/config.json deployment is needed.
+ *
+ * How to run tests:
+ * - npx hardhat test test/server.js
+ */
+
+// Import testing framework and Hardhat environment
+const { expect } = require('chai');    // Assertion library for testing
+const { ethers } = require('hardhat'); // Ethereum library for blockchain interaction
+
+// SIWE message formatting, the same way the frontend builds it
+const { SiweMessage } = require('siwe')
+
+// The verifier under test
+const { createApp } = require('../server')
+
+const DOMAIN = 'localhost:3000'
+const CHAIN_ID = 31337
+
+/**
+ * @dev Helper function to make requests that keep the session cookie, like a browser would
+ * @param baseURL The server's URL
+ * @return Function (path, options) resolving to { status, body }
+ */
+const createClient = (baseURL) => {
+  let cookie = null
+
+  return async (path, { method = 'GET', body } = {}) => {
+    const response = await fetch(`${baseURL}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}) },
+      body: body && JSON.stringify(body)
+    })
+
+    const setCookie = response.headers.get('set-cookie')
+    if (setCookie) cookie = setCookie.split(';')[0]
+
+    return { status: response.status, body: await response.json() }
+  }
+}
+
+describe('SIWE Verifier', () => {
+  let nft, deployer, holder, visitor, server, request
+
+  /**
+   * @dev Helper function to build and sign a SIWE message
+   * @param signer The signer to sign in as
+   * @param nonce The nonce from /api/nonce
+   * @param fields Message fields to override (domain, chainId, expirationTime, ...)
+   * @return The { message, signature } body for /api/verify
+   */
+  const signMessage = async (signer, nonce, fields = {}) => {
+    const message = new SiweMessage({
+      domain: DOMAIN,
+      address: signer.address,
+      statement: 'Sign in to Dapp Punks to access holder perks.',
+      uri: `http://${DOMAIN}`,
+      version: '1',
+      chainId: CHAIN_ID,
+      nonce,
+      ...fields
+    }).prepareMessage()
+
+    return { message, signature: await signer.signMessage(message) }
+  }
+
+  /**
+   * @dev Helper function to run the whole sign-in flow
+   * @param signer The signer to sign in as
+   * @param fields Message fields to override
+   * @return The /api/verify response
+   */
+  const signIn = async (signer, fields) => {
+    const { body: { nonce } } = await request('/api/nonce')
+    return request('/api/verify', { method: 'POST', body: await signMessage(signer, nonce, fields) })
+  }
+
+  /**
+   * @dev Helper function to start a verifier on a random port
+   * @param options Options for createApp
+   */
+  const startServer = async (options = {}) => {
+    const app = createApp({
+      domain: DOMAIN,
+      secret: 'test-secret',
+      contractFor: (chainId) => Number(chainId) === CHAIN_ID ? nft : null,
+      ...options
+    })
+
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening))
+    })
+    request = createClient(`http://127.0.0.1:${server.address().port}`)
+  }
+
+  beforeEach(async () => {
+    [deployer, holder, visitor] = await ethers.getSigners()
+
+    // Open for minting now, with the holder owning one token
+    const { timestamp } = await ethers.provider.getBlock('latest')
+    const NFT = await ethers.getContractFactory('NFT')
+    nft = await NFT.deploy(
+      'Dapp Punks', 'DP', ethers.utils.parseUnits('10', 'ether'), 25, timestamp, 'ipfs://test/', '', [deployer.address], [1]
+    )
+    await nft.connect(holder).mint(1, { value: ethers.utils.parseUnits('10', 'ether') })
+
+    await startServer()
+  })
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  describe('Signing In', () => {
+
+    describe('Success', async () => {
+
+      it('starts a session for a valid signature', async () => {
+        const { status, body } = await signIn(holder)
+
+        expect(status).to.equal(200)
+        expect(body).to.deep.equal({ address: holder.address, chainId: CHAIN_ID, isHolder: true })
+      })
+
+      it('returns the session until logout', async () => {
+        await signIn(holder)
+        expect((await request('/api/session')).body.address).to.equal(holder.address)
+
+        const { status, body } = await request('/api/logout', { method: 'POST' })
+        expect(status).to.equal(200)
+        expect(body).to.deep.equal({ address: null })
+
+        expect((await request('/api/session')).body).to.deep.equal({ address: null })
+        expect((await request('/api/perks')).status).to.equal(401)
+      })
+
+    })
+
+    describe('Failure', async () => {
+
+      it('rejects a reused nonce', async () => {
+        const { body: { nonce } } = await request('/api/nonce')
+        const signed = await signMessage(holder, nonce)
+
+        expect((await request('/api/verify', { method: 'POST', body: signed })).status).to.equal(200)
+
+        const { status, body } = await request('/api/verify', { method: 'POST', body: signed })
+        expect(status).to.equal(422)
+        expect(body.error).to.equal('Request a nonce first')
+      })
+
+      it('rejects a message signed with another nonce', async () => {
+        await request('/api/nonce')
+        const signed = await signMessage(holder, 'someothernonce1')
+
+        const { status } = await request('/api/verify', { method: 'POST', body: signed })
+        expect(status).to.equal(401)
+      })
+
+      it('rejects an expired nonce', async () => {
+        await new Promise(resolve => server.close(resolve))
+        await startServer({ nonceTtlMs: 50 })
+
+        const { body: { nonce } } = await request('/api/nonce')
+        const signed = await signMessage(holder, nonce)
+        await new Promise(resolve => setTimeout(resolve, 100))
+
+        const { status, body } = await request('/api/verify', { method: 'POST', body: signed })
+        expect(status).to.equal(422)
+        expect(body.error).to.equal('Nonce expired - request a new one')
+      })
+
+      it('rejects a message past its expiration time', async () => {
+        const { status } = await signIn(holder, { expirationTime: new Date(Date.now() - 60000).toISOString() })
+        expect(status).to.equal(401)
+      })
+
+      it('rejects a message for another domain', async () => {
+        const { status, body } = await signIn(holder, { domain: 'evil.example', uri: 'http://evil.example' })
+
+        expect(status).to.equal(401)
+        expect(body.error).to.include('Sign-in failed')
+        expect((await request('/api/session')).body).to.deep.equal({ address: null })
+      })
+
+      it('does not start a session when the holder check fails', async () => {
+        await new Promise(resolve => server.close(resolve))
+
+        // A contract whose RPC is unreachable
+        const unreachable = { balanceOf: async () => { throw new Error('could not detect network') } }
+        await startServer({ contractFor: () => unreachable })
+
+        const { status, body } = await signIn(holder)
+        expect(status).to.equal(502)
+        expect(body.error).to.equal('Unable to reach the network to check holdings')
+
+        expect((await request('/api/session')).body).to.deep.equal({ address: null })
+        expect((await request('/api/perks')).status).to.equal(401)
+      })
+
+      it('rejects a chain without a deployment', async () => {
+        const { status, body } = await signIn(holder, { chainId: 1 })
+
+        expect(status).to.equal(422)
+        expect(body.error).to.equal('Dapp Punks isn\'t deployed on chain 1')
+        expect((await request('/api/session')).body).to.deep.equal({ address: null })
+      })
+
+    })
+
+  })
+
+  describe('Perks', () => {
+
+    it('returns the perks to a holder', async () => {
+      await signIn(holder)
+
+      const { status, body } = await request('/api/perks')
+      expect(status).to.equal(200)
+      expect(body.perks).to.be.an('array').that.is.not.empty
+    })
+
+    it('rejects a signed-in non-holder', async () => {
+      const { body: session } = await signIn(visitor)
+      expect(session.isHolder).to.equal(false)
+
+      const { status, body } = await request('/api/perks')
+      expect(status).to.equal(403)
+      expect(body.error).to.equal('This content is for Dapp Punk holders only')
+    })
+
+    it('locks the perks once the holder sends their last token', async () => {
+      await signIn(holder)
+      await nft.connect(holder).transferFrom(holder.address, visitor.address, 1)
+
+      expect((await request('/api/perks')).status).to.equal(403)
+      expect((await request('/api/session')).body.isHolder).to.equal(false)
+    })
+
+    it('rejects requests without a session', async () => {
+      const { status } = await request('/api/perks')
+      expect(status).to.equal(401)
+    })
+
+  })
+
+})
@@ -0,0 +1,134 @@
+/**
+ * @title Metadata Validation Test Suite
+ * @dev Tests for scripts/validate.js, run by the validate-metadata task
+ *
+ * Each folder in test/fixtures/validate/ is a small collection sharing the images/ folder there:
+ * - valid: images as an ipfs:// URI, a bare CID and a local file
+ * - missing-fields, bad-images, duplicate-traits, invalid-files, gaps: one kind of problem each
+ *
+ * How to run tests:
+ * - npx hardhat test test/validate.js
+ */
+
+// Import testing framework
+const { expect } = require('chai');    // Assertion library for testing
+
+// Node.js module for the fixture paths
+const path = require('path')
+
+// The validator under test
+const { validateMetadata } = require('../scripts/validate')
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'validate')
+const IMAGES_DIR = path.join(FIXTURES_DIR, 'images')
+
+/**
+ * @dev Helper function to validate one fixture collection
+ * @param name The fixture folder
+ * @param maxSupply The supply to check the collection against
+ * @return The validation result
+ */
+const validate = (name, maxSupply) => validateMetadata({
+  metadataDir: path.join(FIXTURES_DIR, name),
+  imagesDir: IMAGES_DIR,
+  maxSupply
+})
+
+/**
+ * @dev Helper function to list the problems reported for a file
+ * @param result The validation result
+ * @param file The metadata file, or 'collection'
+ * @return The problem messages
+ */
+const problemsFor = (result, file) => result.problems
+  .filter(problem => problem.file === file)
+  .map(problem => problem.message)
+
+describe('Metadata Validation', () => {
+
+  describe('Success', () => {
+
+    it('accepts a valid collection', () => {
+      const result = validate('valid', 3)
+
+      expect(result.metadataCount).to.equal(3)
+      expect(result.imageCount).to.equal(3)
+      expect(result.maxSupply).to.equal(3)
+      expect(result.problems).to.deep.equal([])
+    })
+
+    it('accepts the shipped collection', () => {
+      const result = validateMetadata({ maxSupply: 25 })
+
+      expect(result.metadataCount).to.equal(25)
+      expect(result.problems).to.deep.equal([])
+    })
+
+  })
+
+  describe('Failure', () => {
+
+    it('reports missing fields and mismatched editions', () => {
+      const result = validate('missing-fields', 2)
+
+      expect(problemsFor(result, '1.json')).to.deep.equal([
+        'missing required field "description"',
+        'edition 5 doesn\'t match the filename (expected 1)'
+      ])
+    })
+
+    it('reports malformed attributes', () => {
+      const result = validate('missing-fields', 2)
+
+      expect(problemsFor(result, '2.json')).to.deep.equal([
+        'trait type "Face" appears more than once',
+        'attribute 3 has no trait_type'
+      ])
+    })
+
+    it('reports images that do not exist', () => {
+      const result = validate('bad-images', 3)
+
+      expect(problemsFor(result, '1.json')[0]).to.include('points at 99.png')
+      expect(problemsFor(result, '2.json')[0]).to.include('doesn\'t contain a valid IPFS CID')
+      expect(problemsFor(result, '3.json')[0]).to.include('must be an ipfs:// URI, a CID or a file in the images folder')
+    })
+
+    it('reports duplicate trait combinations in any order', () => {
+      const result = validate('duplicate-traits', 2)
+
+      expect(result.problems).to.deep.equal([
+        { file: '2.json', message: 'has the same traits as 1.json' }
+      ])
+    })
+
+    it('reports invalid JSON and filenames', () => {
+      const result = validate('invalid-files', 1)
+
+      expect(problemsFor(result, '1.json')[0]).to.match(/^invalid JSON/)
+      expect(problemsFor(result, 'punk-2.json')).to.deep.equal(['filename must be a token ID, e.g. 1.json'])
+    })
+
+    it('reports gaps and tokens past maxSupply', () => {
+      const result = validate('gaps', 2)
+
+      expect(result.metadataCount).to.equal(2)
+      expect(problemsFor(result, 'collection')).to.deep.equal([
+        'no metadata for token 2',
+        '1 metadata file is past maxSupply 2 and can never be minted'
+      ])
+    })
+
+    it('reports tokens without metadata up to maxSupply', () => {
+      const result = validate('valid', 5)
+
+      expect(problemsFor(result, 'collection')).to.deep.equal(['no metadata for tokens 4, 5'])
+    })
+
+    it('throws for a missing metadata folder', () => {
+      expect(() => validate('missing', 1)).to.throw('Metadata folder not found')
+    })
+
+  })
+
+})